@@ -0,0 +1,257 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { featureLabel } from "./hunting-data.js";
+
+// --- small contract ---
+// Inputs: a container and the annual rows from hunting-data.js (missing values are null); width and
+//         height are the plot's size inside the margins
+// Output: the yearly bar chart of one feature, shared by the bar page and the dashboard: bars in
+//         year or value order, an optional mean/median reference line and a tooltip. update()
+//         redraws with new rows, feature, sort order or reference line; hover() and highlight() let
+//         a page drive the emphasis itself (the dashboard's year selection)
+// Error modes: a year without a value keeps its place with an empty bar and says "no data"
+
+export const SORTS = [
+  { key: 'year', label: 'year' },
+  { key: 'asc', label: 'value (low to high)' },
+  { key: 'desc', label: 'value (high to low)' }
+];
+export const REFERENCES = [
+  { key: 'none', label: 'none' },
+  { key: 'mean', label: 'mean' },
+  { key: 'median', label: 'median' }
+];
+
+const BAR_COLOR = 'steelblue';
+const HOVER_COLOR = '#2a5d8a';
+const HOVER_STROKE = '#222';
+const REFERENCE_COLOR = '#d62728';
+const FADED = 0.2;
+
+const format = d3.format(',.4~f');
+
+// Zero is kept as the baseline when it is near the data (counts, most temperatures, negative
+// temperatures hang down from it); values far from zero, like day-of-year, get a padded domain
+function yDomain(values) {
+  let [min, max] = d3.extent(values);
+  if (min === undefined) return [0, 1];
+  const span = (max - min) || Math.abs(max) || 1;
+  if (min >= 0 && min < span) {
+    min = 0;
+  } else if (max <= 0 && -max < span) {
+    max = 0;
+  } else {
+    min -= span * 0.1;
+    max += span * 0.1;
+  }
+  return [min, max];
+}
+
+export function createBarChart({
+  container,
+  width = 710,
+  height = 400,
+  margin = { top: 40, right: 30, bottom: 60, left: 60 }
+}) {
+  const state = { rows: [], feature: null, sort: 'year', reference: 'none' };
+  // years outside a selection are faded and the hovered one outlined (set by highlight())
+  let emphasis = { isSelected: () => true, hovered: null };
+
+  const svg = container.append('svg')
+    .attr('width', width + margin.left + margin.right)
+    .attr('height', height + margin.top + margin.bottom)
+    .attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+  const plot = svg.append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const x = d3.scaleBand()
+    .range([0, width])
+    .padding(0.1);
+  const y = d3.scaleLinear()
+    .range([height, 0]);
+
+  // the value the bars grow from: zero when it is inside the domain, else the nearest end
+  const baseline = () => {
+    const [d0, d1] = y.domain();
+    return y(Math.max(d0, Math.min(d1, 0)));
+  };
+
+  // Bars, then the reference line above them
+  const bars = plot.append('g').attr('class', 'bars');
+  const referenceArea = plot.append('g')
+    .attr('class', 'reference-line')
+    .style('pointer-events', 'none');
+  referenceArea.append('line')
+    .attr('x1', 0)
+    .attr('x2', width)
+    .attr('stroke', REFERENCE_COLOR)
+    .attr('stroke-width', 1.5)
+    .attr('stroke-dasharray', '6,4');
+  referenceArea.append('text')
+    .attr('x', width)
+    .attr('dy', '-0.4em')
+    .style('text-anchor', 'end')
+    .style('font-size', '12px')
+    .style('fill', REFERENCE_COLOR);
+
+  const xAxis = plot.append('g')
+    .attr('class', 'x-axis')
+    .attr('transform', `translate(0,${height})`);
+  const yAxis = plot.append('g')
+    .attr('class', 'y-axis');
+  plot.append('text')
+    .attr('x', width / 2)
+    .attr('y', height + margin.bottom - 10)
+    .style('text-anchor', 'middle')
+    .text('Year');
+  const yLabel = plot.append('text')
+    .attr('class', 'y-axis-label')
+    .attr('transform', 'rotate(-90)')
+    .attr('y', -margin.left + 20)
+    .attr('x', -(height / 2))
+    .style('text-anchor', 'middle');
+  const title = plot.append('text')
+    .attr('class', 'plot-title')
+    .attr('x', width / 2)
+    .attr('y', -margin.top / 2)
+    .style('text-anchor', 'middle')
+    .style('font-size', '16px');
+
+  const tooltip = d3.select('body').append('div')
+    .style('position', 'absolute')
+    .style('visibility', 'hidden')
+    .style('background-color', 'white')
+    .style('border', 'solid')
+    .style('border-width', '1px')
+    .style('border-radius', '5px')
+    .style('padding', '10px');
+
+  // mean or median of the values shown (null when the line is off or nothing is known)
+  function referenceValue() {
+    const { rows, feature, reference } = state;
+    if (reference === 'none') return null;
+    const values = rows.map(d => d[feature]).filter(v => v != null);
+    const value = reference === 'mean' ? d3.mean(values) : d3.median(values);
+    return value ?? null;
+  }
+
+  // Order of the bars along the x axis; missing values go last when sorting by value
+  function sortedYears() {
+    const { rows, feature, sort } = state;
+    if (sort === 'year') {
+      return rows.map(d => d.year).sort((a, b) => a - b);
+    }
+    const dir = sort === 'asc' ? d3.ascending : d3.descending;
+    return rows.slice()
+      .sort((a, b) => (a[feature] == null) - (b[feature] == null) ||
+        dir(a[feature], b[feature]) || a.year - b.year)
+      .map(d => d.year);
+  }
+
+  // the year's bar darkened and its tooltip at the pointer; null hides both
+  function hover(event, year) {
+    const { rows, feature, reference } = state;
+    const d = year == null ? null : rows.find(r => r.year === year);
+    bars.selectAll('rect').attr('fill', r => (d && r.year === d.year ? HOVER_COLOR : BAR_COLOR));
+    if (!d) {
+      tooltip.style('visibility', 'hidden');
+      return;
+    }
+    const ref = referenceValue();
+    const value = d[feature];
+    let html = `Year: ${d.year}<br/>${featureLabel(feature)}: ${value == null ? 'no data' : format(value)}`;
+    if (ref != null && value != null) {
+      const diff = value - ref;
+      html += `<br/>${diff >= 0 ? '+' : '−'}${format(Math.abs(diff))} vs ${reference}`;
+    }
+    tooltip
+      .style('visibility', 'visible')
+      .html(html)
+      .style('top', (event.pageY - 10) + 'px')
+      .style('left', (event.pageX + 10) + 'px');
+  }
+
+  function restyle() {
+    bars.selectAll('rect')
+      .attr('fill-opacity', d => (emphasis.isSelected(d.year) ? 1 : FADED))
+      .attr('stroke', d => (d.year === emphasis.hovered ? HOVER_STROKE : null))
+      .attr('stroke-width', 2);
+  }
+
+  // Redraw with the given rows, feature, sort order and reference line (the rest stay as they were)
+  function update(changes = {}, duration = 750) {
+    Object.assign(state, changes);
+    const { rows, feature, reference } = state;
+    x.domain(sortedYears());
+    y.domain(yDomain(rows.map(d => d[feature]).filter(v => v != null))).nice();
+    const base = baseline();
+    const top = d => (d[feature] == null ? base : Math.min(y(d[feature]), base));
+    const barHeight = d => (d[feature] == null ? 0 : Math.abs(y(d[feature]) - base));
+
+    bars.selectAll('rect')
+      .data(rows, d => d.year)
+      .join(enter => enter.append('rect')
+        .attr('x', d => x(d.year))
+        .attr('width', x.bandwidth())
+        .attr('y', base)
+        .attr('height', 0)
+        .attr('fill', BAR_COLOR))
+      .on('mouseover mousemove', (event, d) => hover(event, d.year))
+      .on('mouseout', () => hover(null, null))
+      .transition()
+      .duration(duration)
+      .attr('x', d => x(d.year))
+      .attr('width', x.bandwidth())
+      .attr('y', top)
+      .attr('height', barHeight);
+    restyle();
+
+    xAxis.transition()
+      .duration(duration)
+      .call(d3.axisBottom(x));
+    xAxis.selectAll('text')
+      .style('text-anchor', 'end')
+      .attr('dx', '-.8em')
+      .attr('dy', '.15em')
+      .attr('transform', 'rotate(-45)');
+    yAxis.transition()
+      .duration(duration)
+      .call(d3.axisLeft(y));
+
+    const ref = referenceValue();
+    referenceArea.style('display', ref == null ? 'none' : null);
+    if (ref != null) {
+      referenceArea.select('line')
+        .transition()
+        .duration(duration)
+        .attr('y1', y(ref))
+        .attr('y2', y(ref));
+      referenceArea.select('text')
+        .text(`${reference}: ${format(ref)}`)
+        .transition()
+        .duration(duration)
+        .attr('y', y(ref));
+    }
+
+    yLabel.text(featureLabel(feature));
+    title.text(`${featureLabel(feature)} by Year`);
+  }
+
+  return {
+    svg,
+    plot,
+    x,
+    width,
+    height,
+    update,
+    hover,
+    highlight(next) {
+      emphasis = next;
+      restyle();
+    },
+    // the rows in the order of the bars
+    orderedRows() {
+      const byYear = new Map(state.rows.map(d => [d.year, d]));
+      return x.domain().map(year => byYear.get(year));
+    }
+  };
+}
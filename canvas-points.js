@@ -0,0 +1,151 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: a world map (see world-map.js) and marks in map coordinates:
+//         { x, y, r, color, opacity, stroke?, label?, tip() } (r and label size in map units)
+// Output: a <canvas> laid over the map's SVG that draws the marks with the current zoom transform,
+//         and quadtree hit testing on the SVG so hovering a mark still shows its tooltip.
+//         The SVG underneath (countries, graticule) keeps its own mouse handling.
+// Error modes: without 2d canvas support draw() is a no-op and the caller should stay on SVG
+
+export function createCanvasPoints(map) {
+  const svgNode = map.svg.node();
+  const parent = svgNode.parentNode;
+  // the SVG's parent becomes the positioning context for the overlay
+  if (getComputedStyle(parent).position === 'static') parent.style.position = 'relative';
+  const canvas = d3.select(parent).insert('canvas', () => svgNode.nextSibling)
+    .attr('class', 'points-canvas')
+    .style('position', 'absolute')
+    .style('pointer-events', 'none')
+    .style('display', 'none');
+  const ctx = canvas.node().getContext ? canvas.node().getContext('2d') : null;
+
+  let marks = [];
+  let tree = d3.quadtree();
+  let maxR = 0;
+  let transform = { x: 0, y: 0, k: 1 };
+  let hovered = null;
+
+  // cover the SVG's content box (inside its border) and return map units -> CSS px
+  function fitToSvg() {
+    const style = getComputedStyle(svgNode);
+    const bl = parseFloat(style.borderLeftWidth) || 0;
+    const bt = parseFloat(style.borderTopWidth) || 0;
+    const rect = svgNode.getBoundingClientRect();
+    const prect = parent.getBoundingClientRect();
+    const w = rect.width - bl - (parseFloat(style.borderRightWidth) || 0);
+    const h = rect.height - bt - (parseFloat(style.borderBottomWidth) || 0);
+    const dpr = window.devicePixelRatio || 1;
+    canvas
+      .style('left', `${rect.left - prect.left - parent.clientLeft + bl}px`)
+      .style('top', `${rect.top - prect.top - parent.clientTop + bt}px`)
+      .style('width', `${w}px`)
+      .style('height', `${h}px`)
+      .attr('width', Math.round(w * dpr))
+      .attr('height', Math.round(h * dpr));
+    // the viewBox keeps its aspect ratio (height: auto), so one scale fits both axes
+    return { scale: w / map.width, dpr };
+  }
+
+  function paint() {
+    if (!ctx) return;
+    const { scale, dpr } = fitToSvg();
+    const s = scale * dpr;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.node().width, canvas.node().height);
+    ctx.setTransform(s * transform.k, 0, 0, s * transform.k, s * transform.x, s * transform.y);
+    marks.forEach(m => {
+      ctx.globalAlpha = m.opacity;
+      ctx.fillStyle = m.color;
+      ctx.beginPath();
+      ctx.arc(m.x, m.y, m.r, 0, 2 * Math.PI);
+      ctx.fill();
+      if (m.stroke) {
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1 / transform.k;
+        ctx.stroke();
+      }
+      if (m.label != null) {
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#fff';
+        ctx.font = `${10 / transform.k}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(m.label, m.x, m.y);
+      }
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  // hit testing: of the marks whose centre is within maxR of the pointer, nearest first, the first
+  // one whose own circle contains it (the single nearest centre can belong to a small mark that
+  // misses the pointer while a larger one around it is hit)
+  function markAt(event) {
+    const [mx, my] = d3.pointer(event, map.g.node());
+    const x0 = mx - maxR;
+    const y0 = my - maxR;
+    const x1 = mx + maxR;
+    const y1 = my + maxR;
+    const candidates = [];
+    tree.visit((node, nx0, ny0, nx1, ny1) => {
+      if (!node.length) {
+        let leaf = node;
+        do {
+          const m = leaf.data;
+          const dist = Math.hypot(m.x - mx, m.y - my);
+          if (dist <= maxR) candidates.push({ m, dist });
+        } while ((leaf = leaf.next));
+      }
+      // skip quadrants that lie outside the search box
+      return nx0 > x1 || ny0 > y1 || nx1 < x0 || ny1 < y0;
+    });
+    candidates.sort((a, b) => a.dist - b.dist);
+    const hit = candidates.find(c => c.dist <= c.m.r);
+    return hit ? hit.m : null;
+  }
+
+  map.svg.on('mousemove.canvas-points', (event) => {
+    if (!marks.length) return;
+    const m = markAt(event);
+    if (m) {
+      map.showTip(m.tip());
+      map.moveTip(event);
+      map.svg.style('cursor', 'pointer');
+    } else if (hovered) {
+      map.hideTip();
+      map.svg.style('cursor', null);
+    }
+    hovered = m;
+  });
+  map.svg.on('mouseleave.canvas-points', () => {
+    if (hovered) map.hideTip();
+    hovered = null;
+  });
+  d3.select(window).on('resize.canvas-points', () => {
+    if (marks.length) paint();
+  });
+
+  return {
+    supported: !!ctx,
+    // replace the marks (and the zoom transform they are shown with) and repaint
+    draw(nextMarks, nextTransform) {
+      marks = nextMarks;
+      if (nextTransform) transform = nextTransform;
+      tree = d3.quadtree().x(m => m.x).y(m => m.y).addAll(marks);
+      maxR = d3.max(marks, m => m.r) || 0;
+      canvas.style('display', marks.length ? null : 'none');
+      paint();
+    },
+    // repaint the same marks after a pan or zoom
+    setTransform(nextTransform) {
+      transform = nextTransform;
+      if (marks.length) paint();
+    },
+    clear() {
+      marks = [];
+      tree = d3.quadtree();
+      canvas.style('display', 'none');
+    }
+  };
+}
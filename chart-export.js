@@ -0,0 +1,304 @@
+// --- small contract ---
+// Inputs: a chart <svg> as shown on the page, plus an optional title, year (or year range),
+//         HTML legends (e.g. #legend-row, #count-legend), canvas overlays (see canvas-points.js)
+//         and a data-source caption
+// Output: a standalone image of what is on screen: title and year above the chart, the legends
+//         redrawn as SVG shapes and text below it, then the caption. Downloaded as .svg, or
+//         rasterized to .png at 1×/2×/4× the chart's own size. addExportControl() adds the
+//         format picker and Export button to a page.
+// Error modes: hidden legends and overlays are left out; a failed export is logged and reported
+//              with alert()
+
+export const EXPORT_FORMATS = [
+  { id: 'svg', label: 'SVG' },
+  { id: 'png1', label: 'PNG 1×', scale: 1 },
+  { id: 'png2', label: 'PNG 2×', scale: 2 },
+  { id: 'png4', label: 'PNG 4×', scale: 4 }
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PAD = 12;
+const TITLE_SIZE = 16;
+const CAPTION_SIZE = 11;
+
+// styles that may come from CSS rather than attributes and must travel with the file
+const STYLE_PROPS = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'opacity', 'visibility', 'display', 'font-family', 'font-size', 'font-weight', 'text-anchor',
+  'dominant-baseline', 'vector-effect'
+];
+
+function isShown(el) {
+  return !!el && el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+}
+
+// the chart's own size in user units (its viewBox, else its width/height attributes)
+function chartSize(svgNode) {
+  const vb = svgNode.viewBox && svgNode.viewBox.baseVal;
+  if (vb && vb.width && vb.height) return { x: vb.x, y: vb.y, width: vb.width, height: vb.height };
+  const rect = svgNode.getBoundingClientRect();
+  return {
+    x: 0,
+    y: 0,
+    width: +svgNode.getAttribute('width') || rect.width,
+    height: +svgNode.getAttribute('height') || rect.height
+  };
+}
+
+// copy computed styles onto the clone, element by element
+function inlineStyles(source, clone) {
+  const from = [source, ...source.querySelectorAll('*')];
+  const to = [clone, ...clone.querySelectorAll('*')];
+  from.forEach((el, i) => {
+    const cs = getComputedStyle(el);
+    const style = STYLE_PROPS
+      .map(p => [p, cs.getPropertyValue(p)])
+      .filter(([, v]) => v !== '')
+      .map(([p, v]) => `${p}:${v}`)
+      .join(';');
+    if (style) to[i].setAttribute('style', style);
+  });
+}
+
+function svgEl(name, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, name);
+  Object.entries(attrs).forEach(([k, v]) => {
+    if (v != null) el.setAttribute(k, v);
+  });
+  return el;
+}
+
+const isTransparent = color => !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+
+// Redraw an HTML legend as SVG: boxes with a background (swatches, gradient bars) become rects,
+// text becomes <text> at the same place. Returns { g, width, height } in CSS pixels.
+function legendToSvg(el, defs, idPrefix) {
+  // measure from the legend's content, not its (often full-width) container
+  const nodes = Array.from(el.querySelectorAll('*')).filter(isShown);
+  const rects = nodes.map(node => node.getBoundingClientRect());
+  const box = el.getBoundingClientRect();
+  const origin = rects.length
+    ? { left: Math.min(...rects.map(r => r.left)), top: Math.min(...rects.map(r => r.top)) }
+    : box;
+  const width = rects.length ? Math.max(...rects.map(r => r.right)) - origin.left : box.width;
+  const height = rects.length ? Math.max(...rects.map(r => r.bottom)) - origin.top : box.height;
+  const g = svgEl('g');
+  let gradients = 0;
+  nodes.forEach((node, i) => {
+    const cs = getComputedStyle(node);
+    const r = rects[i];
+    const bg = cs.backgroundColor;
+    const image = cs.backgroundImage;
+    const border = parseFloat(cs.borderTopWidth) || 0;
+    let fill = isTransparent(bg) ? null : bg;
+    if (image && image.startsWith('linear-gradient')) {
+      // legends only use left-to-right gradients (see classify.js drawLegend)
+      const colors = image.match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}\b/gi) || [];
+      if (colors.length) {
+        const id = `${idPrefix}-gradient-${gradients++}`;
+        const grad = svgEl('linearGradient', { id, x1: 0, x2: 1, y1: 0, y2: 0 });
+        colors.forEach((c, i) => grad.appendChild(svgEl('stop', {
+          offset: colors.length > 1 ? i / (colors.length - 1) : 0,
+          'stop-color': c
+        })));
+        defs.appendChild(grad);
+        fill = `url(#${id})`;
+      }
+    }
+    if (fill || border > 0) {
+      g.appendChild(svgEl('rect', {
+        x: r.left - origin.left,
+        y: r.top - origin.top,
+        width: r.width,
+        height: r.height,
+        fill: fill || 'none',
+        stroke: border > 0 ? cs.borderTopColor : null,
+        'stroke-width': border > 0 ? border : null
+      }));
+    }
+    node.childNodes.forEach(child => {
+      if (child.nodeType !== Node.TEXT_NODE || !child.textContent.trim()) return;
+      const range = document.createRange();
+      range.selectNodeContents(child);
+      const tr = range.getBoundingClientRect();
+      const text = svgEl('text', {
+        x: tr.left - origin.left,
+        // baseline about 80% down the line box
+        y: tr.top - origin.top + tr.height * 0.8,
+        fill: cs.color,
+        'font-family': cs.fontFamily,
+        'font-size': cs.fontSize,
+        'font-weight': cs.fontWeight
+      });
+      text.textContent = child.textContent.trim();
+      g.appendChild(text);
+    });
+  });
+  return { g, width, height };
+}
+
+// Build the standalone <svg> element and its size in user units.
+export function buildExportSvg({ svg, title = '', year = null, legends = [], overlays = [], caption = '' }) {
+  const source = svg instanceof Element ? svg : svg.node();
+  const size = chartSize(source);
+  const screen = source.getBoundingClientRect();
+  // user units per CSS pixel of the chart as drawn
+  const unitsPerPx = screen.width ? size.width / screen.width : 1;
+
+  const out = svgEl('svg', { 'font-family': 'Arial, Helvetica, sans-serif' });
+  const defs = out.appendChild(svgEl('defs'));
+  const background = out.appendChild(svgEl('rect', { x: 0, y: 0, fill: '#fff' }));
+  let y = PAD;
+
+  const heading = [title, year].filter(v => v != null && v !== '').join(' — ');
+  if (heading) {
+    const t = out.appendChild(svgEl('text', {
+      x: size.width / 2, y: y + TITLE_SIZE, 'text-anchor': 'middle', 'font-size': TITLE_SIZE, 'font-weight': 'bold', fill: '#222'
+    }));
+    t.textContent = heading;
+    y += TITLE_SIZE + PAD;
+  }
+
+  // the chart itself, styles inlined, in a nested <svg> so its viewBox still applies
+  const clone = source.cloneNode(true);
+  inlineStyles(source, clone);
+  clone.removeAttribute('id');
+  clone.removeAttribute('style');
+  clone.setAttribute('x', 0);
+  clone.setAttribute('y', y);
+  clone.setAttribute('width', size.width);
+  clone.setAttribute('height', size.height);
+  clone.setAttribute('viewBox', `${size.x} ${size.y} ${size.width} ${size.height}`);
+  out.appendChild(clone);
+
+  // canvas overlays (e.g. thousands of event dots) become images over the chart
+  overlays.filter(isShown).forEach(canvas => {
+    const r = canvas.getBoundingClientRect();
+    out.appendChild(svgEl('image', {
+      x: (r.left - screen.left) * unitsPerPx,
+      y: y + (r.top - screen.top) * unitsPerPx,
+      width: r.width * unitsPerPx,
+      height: r.height * unitsPerPx,
+      href: canvas.toDataURL('image/png')
+    }));
+  });
+  y += size.height + PAD;
+
+  legends.map(l => (l instanceof Element ? l : l.node())).filter(isShown).forEach((el, i) => {
+    const { g, width, height } = legendToSvg(el, defs, `legend-${i}`);
+    // legends keep their on-screen size unless wider than the chart
+    const s = Math.min(1, size.width / (width || 1));
+    g.setAttribute('transform', `translate(${(size.width - width * s) / 2},${y}) scale(${s})`);
+    out.appendChild(g);
+    y += height * s + PAD;
+  });
+
+  if (caption) {
+    const c = out.appendChild(svgEl('text', {
+      x: size.width / 2, y: y + CAPTION_SIZE, 'text-anchor': 'middle', 'font-size': CAPTION_SIZE, fill: '#666'
+    }));
+    c.textContent = caption;
+    y += CAPTION_SIZE + PAD;
+  }
+
+  const width = size.width;
+  const height = Math.ceil(y);
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  out.setAttribute('width', width);
+  out.setAttribute('height', height);
+  out.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  return { node: out, width, height };
+}
+
+// save a Blob through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// draw the SVG text onto a canvas `scale` times its size
+function rasterize(text, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }));
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The chart could not be drawn as an image'));
+    };
+    img.src = url;
+  });
+}
+
+// Export the chart as `filename`.svg or `filename`.png (format 'svg' | 'png', scale for PNG)
+export async function exportChart({ format = 'svg', scale = 1, filename = 'chart', ...options }) {
+  const { node, width, height } = buildExportSvg(options);
+  const text = new XMLSerializer().serializeToString(node);
+  if (format === 'svg') {
+    downloadBlob(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`);
+    return;
+  }
+  downloadBlob(await rasterize(text, width, height, scale), `${filename}.png`);
+}
+
+// Format picker + Export button appended to `parent`; getOptions() returns exportChart's
+// options for the view as it is at click time. The chosen format is remembered.
+export function addExportControl(parent, getOptions) {
+  if (parent.empty()) return;
+  let saved = null;
+  try { saved = localStorage.getItem('exportFormat'); } catch (e) {}
+  const select = parent.append('select')
+    .attr('class', 'export-format')
+    .attr('aria-label', 'Export format')
+    .style('vertical-align', 'middle')
+    .style('margin-left', '4px');
+  select.selectAll('option')
+    .data(EXPORT_FORMATS)
+    .join('option')
+    .attr('value', d => d.id)
+    .text(d => d.label)
+    .property('selected', d => d.id === saved);
+  parent.append('button')
+    .attr('type', 'button')
+    .attr('class', 'export-btn')
+    .attr('title', 'Download this chart with its title, legend and source')
+    .style('vertical-align', 'middle')
+    .style('margin-left', '4px')
+    .text('Export')
+    .on('click', async () => {
+      const f = EXPORT_FORMATS.find(d => d.id === select.property('value')) || EXPORT_FORMATS[0];
+      try { localStorage.setItem('exportFormat', f.id); } catch (e) {}
+      try {
+        await exportChart({ ...getOptions(), format: f.scale ? 'png' : 'svg', scale: f.scale || 1 });
+      } catch (err) {
+        console.error('Export failed:', err);
+        alert(`Export failed: ${err.message}`);
+      }
+    });
+}
+
+// file-name friendly version of a label ("Mean temp, 2005" -> "mean-temp-2005")
+export function exportFilename(...parts) {
+  return parts
+    .filter(p => p != null && p !== '' && p !== false)
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'chart';
+}
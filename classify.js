@@ -0,0 +1,238 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: an array of numbers (nulls already removed), a scheme id, a palette id and a class count
+// Output: a classifier { color(v), classOf(v), classes, describe(v) } and a legend drawer for #legend-row
+// Error modes: an empty input gives a classifier whose color() is always the no-data gray
+
+export const NO_DATA_COLOR = '#eee';
+
+export const SCHEMES = [
+  { id: 'quantile', label: 'Quantile' },
+  { id: 'equal', label: 'Equal interval' },
+  { id: 'jenks', label: 'Natural breaks (Jenks)' },
+  { id: 'log', label: 'Log scale' },
+  { id: 'continuous', label: 'Continuous' }
+];
+
+// sequential palettes skip their palest end so the lowest class is still distinguishable from no-data
+export const PALETTES = [
+  { id: 'Greens', label: 'Greens', type: 'sequential', interpolate: d3.interpolateGreens },
+  { id: 'Blues', label: 'Blues', type: 'sequential', interpolate: d3.interpolateBlues },
+  { id: 'YlOrRd', label: 'Yellow–red', type: 'sequential', interpolate: d3.interpolateYlOrRd },
+  { id: 'Viridis', label: 'Viridis', type: 'sequential', interpolate: d3.interpolateViridis },
+  { id: 'RdBu', label: 'Red–blue (diverging)', type: 'diverging', interpolate: d3.interpolateRdBu },
+  { id: 'BrBG', label: 'Brown–teal (diverging)', type: 'diverging', interpolate: d3.interpolateBrBG },
+  { id: 'PiYG', label: 'Pink–green (diverging)', type: 'diverging', interpolate: d3.interpolatePiYG }
+];
+
+function paletteById(id) {
+  return PALETTES.find(p => p.id === id) || PALETTES[0];
+}
+
+// map t in [0, 1] onto the palette (Viridis is already perceptually even end to end)
+function paletteColor(palette, t) {
+  if (palette.type === 'diverging' || palette.id === 'Viridis') return palette.interpolate(t);
+  return palette.interpolate(0.15 + t * 0.8);
+}
+
+// Fisher-Jenks natural breaks: the class boundaries minimizing within-class variance.
+// Returns the k - 1 inner break values: the lowest value of every class but the first,
+// so they can be used directly as d3.scaleThreshold() domain.
+export function jenksBreaks(values, k) {
+  const data = values.slice().sort((a, b) => a - b);
+  const n = data.length;
+  k = Math.min(k, new Set(data).size);
+  if (k < 2) return [];
+
+  // lower[i][j]: first index of the last class when i values are split into j classes
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSq = 0;
+    let w = 0;
+    let v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = data[i3 - 1];
+      w += 1;
+      sum += val;
+      sumSq += val * val;
+      v = sumSq - (sum * sum) / w;
+      const i4 = i3 - 1;
+      if (i4 !== 0) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[l][j] >= v + variance[i4][j - 1]) {
+            lower[l][j] = i3;
+            variance[l][j] = v + variance[i4][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = new Array(k - 1);
+  let idx = n;
+  for (let j = k; j >= 2; j--) {
+    breaks[j - 2] = data[lower[idx][j] - 1];
+    idx = lower[idx][j] - 1;
+  }
+  return breaks;
+}
+
+// Log scheme: equal steps in log10 space; when the data reaches zero or below, a symmetric
+// log (sign(x) * log10(1 + |x|)) keeps the transform defined.
+function logTransform(min) {
+  if (min > 0) return { forward: Math.log10, inverse: v => Math.pow(10, v) };
+  return {
+    forward: v => Math.sign(v) * Math.log10(1 + Math.abs(v)),
+    inverse: v => Math.sign(v) * (Math.pow(10, Math.abs(v)) - 1)
+  };
+}
+
+function innerBreaks(values, scheme, k) {
+  const [min, max] = d3.extent(values);
+  if (min === max) return [];
+  if (scheme === 'quantile') return d3.scaleQuantile().domain(values).range(d3.range(k)).quantiles();
+  if (scheme === 'jenks') return jenksBreaks(values, k);
+  if (scheme === 'log') {
+    const t = logTransform(min);
+    const lo = t.forward(min);
+    const hi = t.forward(max);
+    return d3.range(1, k).map(i => t.inverse(lo + (hi - lo) * i / k));
+  }
+  // equal interval
+  return d3.range(1, k).map(i => min + (max - min) * i / k);
+}
+
+export function createClassifier(values, { scheme = 'quantile', palette = 'Greens', classes = 10 } = {}) {
+  const pal = paletteById(palette);
+  if (!values.length) {
+    return { scheme, palette: pal, classes: [], continuous: false, color: () => NO_DATA_COLOR, classOf: () => null, describe: () => 'No data' };
+  }
+  const [min, max] = d3.extent(values);
+
+  if (scheme === 'continuous') {
+    // diverging palettes center on zero when the data crosses it, otherwise on the median
+    let scale;
+    let domain;
+    if (pal.type === 'diverging') {
+      const mid = (min < 0 && max > 0) ? 0 : d3.median(values);
+      domain = [min, mid, max];
+      scale = d3.scaleDiverging(t => paletteColor(pal, t)).domain(domain);
+    } else {
+      domain = [min, max];
+      scale = d3.scaleSequential(t => paletteColor(pal, t)).domain(domain);
+    }
+    return {
+      scheme, palette: pal, classes: [], continuous: true, domain,
+      color: v => (v == null ? NO_DATA_COLOR : scale(v)),
+      classOf: () => null,
+      describe: () => 'Continuous scale'
+    };
+  }
+
+  const breaks = innerBreaks(values, scheme, classes);
+  const threshold = d3.scaleThreshold().domain(breaks).range(d3.range(breaks.length + 1));
+  const n = breaks.length + 1;
+  const bounds = [min, ...breaks, max];
+  const classList = d3.range(n).map(i => ({
+    index: i,
+    low: bounds[i],
+    high: bounds[i + 1],
+    color: paletteColor(pal, n === 1 ? 1 : i / (n - 1))
+  }));
+
+  return {
+    scheme, palette: pal, classes: classList, continuous: false,
+    color: v => (v == null ? NO_DATA_COLOR : classList[threshold(v)].color),
+    classOf: v => (v == null ? null : threshold(v)),
+    describe: v => {
+      if (v == null) return 'No data';
+      const i = threshold(v);
+      // quantile classes keep the decile wording the tooltip always had
+      if (scheme === 'quantile') return `${Math.round(i * 100 / n)}-${Math.round((i + 1) * 100 / n)}%`;
+      return `${i + 1} of ${n}`;
+    }
+  };
+}
+
+// Draw the legend: one swatch per class with its numeric range underneath,
+// or a gradient bar with min / (mid) / max labels for the continuous scheme.
+// An optional caption (e.g. which years the classes cover) goes on its own line underneath.
+export function drawLegend(el, classifier, format, { emptyText = 'No data', caption = null } = {}) {
+  if (el.empty()) return;
+  el.html('');
+  el.style('flex-wrap', 'wrap');
+  const addCaption = () => {
+    if (!caption) return;
+    el.append('div')
+      .attr('class', 'legend-caption')
+      .style('flex-basis', '100%')
+      .style('font-size', '11px')
+      .style('color', '#666')
+      .text(caption);
+  };
+  if (classifier.continuous) {
+    // sample the scale so the labels (spread evenly) sit over their colors; a diverging
+    // domain puts its midpoint in the middle of the bar
+    const dom = classifier.domain;
+    const at = dom.length === 3
+      ? t => (t < 0.5 ? dom[0] + (dom[1] - dom[0]) * t * 2 : dom[1] + (dom[2] - dom[1]) * (t * 2 - 1))
+      : t => dom[0] + (dom[1] - dom[0]) * t;
+    const stops = d3.range(0, 1.0001, 0.1).map(t => classifier.color(at(t)));
+    const box = el.append('div')
+      .attr('class', 'legend-continuous')
+      .style('display', 'flex')
+      .style('flex-direction', 'column')
+      .style('align-items', 'stretch')
+      .style('width', '320px');
+    box.append('div')
+      .style('height', '14px')
+      .style('border', '1px solid #ccc')
+      .style('background', `linear-gradient(to right, ${stops.join(', ')})`);
+    box.append('div')
+      .style('display', 'flex')
+      .style('justify-content', 'space-between')
+      .style('font-size', '11px')
+      .style('color', '#333')
+      .selectAll('span')
+      .data(classifier.domain)
+      .join('span')
+      .text(d => format(d));
+    addCaption();
+    return;
+  }
+  if (!classifier.classes.length) {
+    el.append('div').text(emptyText);
+    return;
+  }
+  const items = el.selectAll('div.legend-class')
+    .data(classifier.classes)
+    .join('div')
+    .attr('class', 'legend-class')
+    .style('display', 'flex')
+    .style('flex-direction', 'column')
+    .style('align-items', 'center');
+  items.append('div')
+    .attr('class', 'swatch')
+    .style('width', '28px')
+    .style('height', '16px')
+    .style('border', '1px solid #ccc')
+    .style('background', d => d.color)
+    .attr('title', d => `${format(d.low)} – ${format(d.high)}`);
+  items.append('div')
+    .attr('class', 'swatch-label')
+    .style('font-size', '10px')
+    .style('color', '#333')
+    .style('white-space', 'nowrap')
+    .text(d => `${format(d.low)}–${format(d.high)}`);
+  addCaption();
+}
@@ -0,0 +1,49 @@
+// --- small contract ---
+// Inputs: items with projected positions (accessors x(d), y(d)) and a hexagon radius in the same units
+// Output: hexagonal bins [{ id, x, y, items }] where x/y is the centroid of the bin's items
+//         (so a cluster sits over its events rather than on the hexagon grid)
+// Error modes: items whose position is null are left out
+
+// Pointy-top hexagonal binning, the same lattice as d3-hexbin.
+export function hexbin(items, x, y, radius) {
+  const dx = radius * 2 * Math.sin(Math.PI / 3);
+  const dy = radius * 1.5;
+  const bins = new Map();
+  items.forEach(d => {
+    const px0 = x(d);
+    const py0 = y(d);
+    if (px0 == null || py0 == null) return;
+    const py = py0 / dy;
+    let pj = Math.round(py);
+    const px = px0 / dx - (pj & 1) / 2;
+    let pi = Math.round(px);
+    const py1 = py - pj;
+    // near a row boundary the point may belong to the neighbouring row's hexagon
+    if (Math.abs(py1) * 3 > 1) {
+      const px1 = px - pi;
+      const pi2 = pi + (px < pi ? -1 : 1) / 2;
+      const pj2 = pj + (py < pj ? -1 : 1);
+      const px2 = px - pi2;
+      const py2 = py - pj2;
+      if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+        pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+        pj = pj2;
+      }
+    }
+    const id = `${pi}-${pj}`;
+    let bin = bins.get(id);
+    if (!bin) {
+      bin = { id, items: [], sx: 0, sy: 0 };
+      bins.set(id, bin);
+    }
+    bin.items.push(d);
+    bin.sx += px0;
+    bin.sy += py0;
+  });
+  return Array.from(bins.values(), b => ({
+    id: b.id,
+    x: b.sx / b.items.length,
+    y: b.sy / b.items.length,
+    items: b.items
+  }));
+}
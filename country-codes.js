@@ -0,0 +1,371 @@
+// --- small contract ---
+// Inputs: whatever identifiers a dataset carries for a country: alpha-3 codes (current or
+//         historic), ISO 3166-1 numeric codes (as numbers or zero-padded strings) and names
+// Output: the canonical ISO 3166-1 alpha-3 code, plus how it was matched
+// Error modes: unknown identifiers resolve to null; nothing throws
+//
+// Row layout: [iso3, iso numeric, ...names]. Names are the common name, the official name,
+// common alternative spellings, and the abbreviated forms used by Natural Earth (world-atlas)
+// and the EPI / World Bank style CSVs. Kosovo has no official numeric code.
+const COUNTRIES = [
+  ['ABW', 533, 'Aruba'],
+  ['AFG', 4, 'Afghanistan', 'Islamic Republic of Afghanistan', 'Afġānistān'],
+  ['AGO', 24, 'Angola', 'Republic of Angola', 'República de Angola'],
+  ['AIA', 660, 'Anguilla'],
+  ['ALA', 248, 'Åland Islands', 'Aaland', 'Aland', 'Ahvenanmaa'],
+  ['ALB', 8, 'Albania', 'Republic of Albania', 'Shqipëri', 'Shqipëria', 'Shqipnia'],
+  ['AND', 20, 'Andorra', 'Principality of Andorra', 'Principat d\'Andorra'],
+  ['ARE', 784, 'United Arab Emirates', 'Emirates'],
+  ['ARG', 32, 'Argentina', 'Argentine Republic', 'República Argentina'],
+  ['ARM', 51, 'Armenia', 'Republic of Armenia', 'Hayastan'],
+  ['ASM', 16, 'American Samoa', 'Amerika Sāmoa', 'Amelika Sāmoa', 'Sāmoa Amelika'],
+  ['ATA', 10, 'Antarctica'],
+  ['ATF', 260, 'French Southern and Antarctic Lands', 'Territory of the French Southern and Antarctic Lands', 'French Southern Territories', 'Fr. S. Antarctic Lands'],
+  ['ATG', 28, 'Antigua and Barbuda', 'Antigua and Barb.'],
+  ['AUS', 36, 'Australia', 'Commonwealth of Australia'],
+  ['AUT', 40, 'Austria', 'Republic of Austria', 'Osterreich', 'Oesterreich'],
+  ['AZE', 31, 'Azerbaijan', 'Republic of Azerbaijan'],
+  ['BDI', 108, 'Burundi', 'Republic of Burundi', 'Republika y\'Uburundi', 'République du Burundi'],
+  ['BEL', 56, 'Belgium', 'Kingdom of Belgium', 'België', 'Belgien', 'Belgique', 'Koninkrijk België', 'Royaume de Belgique', 'Königreich Belgien'],
+  ['BEN', 204, 'Benin', 'Republic of Benin', 'République du Bénin'],
+  ['BES', 535, 'Caribbean Netherlands', 'Bonaire, Sint Eustatius and Saba', 'BES islands'],
+  ['BFA', 854, 'Burkina Faso'],
+  ['BGD', 50, 'Bangladesh', 'People\'s Republic of Bangladesh', 'Gônôprôjatôntri Bangladesh'],
+  ['BGR', 100, 'Bulgaria', 'Republic of Bulgaria'],
+  ['BHR', 48, 'Bahrain', 'Kingdom of Bahrain'],
+  ['BHS', 44, 'Bahamas', 'Commonwealth of the Bahamas'],
+  ['BIH', 70, 'Bosnia and Herzegovina', 'Bosnia-Herzegovina', 'Bosnia and Herz.'],
+  ['BLM', 652, 'Saint Barthélemy', 'Collectivity of Saint Barthélemy', 'Collectivité de Saint-Barthélemy', 'St-Barthélemy'],
+  ['BLR', 112, 'Belarus', 'Republic of Belarus', 'Bielaruś'],
+  ['BLZ', 84, 'Belize'],
+  ['BMU', 60, 'Bermuda', 'The Islands of Bermuda', 'The Bermudas', 'Somers Isles'],
+  ['BOL', 68, 'Bolivia', 'Plurinational State of Bolivia', 'Buliwya', 'Wuliwya', 'Bolivia, Plurinational State of', 'Estado Plurinacional de Bolivia', 'Buliwya Mamallaqta', 'Wuliwya Suyu', 'Tetã Volívia'],
+  ['BRA', 76, 'Brazil', 'Federative Republic of Brazil', 'Brasil', 'República Federativa do Brasil'],
+  ['BRB', 52, 'Barbados'],
+  ['BRN', 96, 'Brunei', 'Nation of Brunei, Abode of Peace', 'Brunei Darussalam', 'Nation of Brunei', 'the Abode of Peace'],
+  ['BTN', 64, 'Bhutan', 'Kingdom of Bhutan'],
+  ['BVT', 74, 'Bouvet Island', 'Bouvetøya'],
+  ['BWA', 72, 'Botswana', 'Republic of Botswana', 'Lefatshe la Botswana'],
+  ['CAF', 140, 'Central African Republic', 'République centrafricaine', 'Central African Rep.'],
+  ['CAN', 124, 'Canada'],
+  ['CCK', 166, 'Cocos (Keeling) Islands', 'Territory of the Cocos (Keeling) Islands', 'Keeling Islands', 'Cocos Islands'],
+  ['CHE', 756, 'Switzerland', 'Swiss Confederation', 'Schweiz', 'Suisse', 'Svizzera', 'Svizra'],
+  ['CHL', 152, 'Chile', 'Republic of Chile', 'República de Chile'],
+  ['CHN', 156, 'China', 'People\'s Republic of China', 'Zhōngguó', 'Zhonghua', 'Zhōnghuá Rénmín Gònghéguó'],
+  ['CIV', 384, 'Ivory Coast', 'Republic of Côte d\'Ivoire', 'Côte d\'Ivoire', 'République de Côte d\'Ivoire'],
+  ['CMR', 120, 'Cameroon', 'Republic of Cameroon', 'République du Cameroun'],
+  ['COD', 180, 'DR Congo', 'Democratic Republic of the Congo', 'Congo-Kinshasa', 'Congo, the Democratic Republic of the', 'Dem. Rep. Congo', 'Congo, Dem. Rep.', 'Zaire'],
+  ['COG', 178, 'Republic of the Congo', 'Congo', 'Congo-Brazzaville', 'Congo, Rep.'],
+  ['COK', 184, 'Cook Islands', 'Kūki \'Āirani', 'Cook Is.'],
+  ['COL', 170, 'Colombia', 'Republic of Colombia', 'República de Colombia'],
+  ['COM', 174, 'Comoros', 'Union of the Comoros', 'Union des Comores', 'Udzima wa Komori'],
+  ['CPV', 132, 'Cape Verde', 'Republic of Cabo Verde', 'República de Cabo Verde', 'Cabo Verde'],
+  ['CRI', 188, 'Costa Rica', 'Republic of Costa Rica', 'República de Costa Rica'],
+  ['CUB', 192, 'Cuba', 'Republic of Cuba', 'República de Cuba'],
+  ['CUW', 531, 'Curaçao', 'Country of Curaçao', 'Kòrsou', 'Land Curaçao', 'Pais Kòrsou'],
+  ['CXR', 162, 'Christmas Island', 'Territory of Christmas Island'],
+  ['CYM', 136, 'Cayman Islands', 'Cayman Is.'],
+  ['CYP', 196, 'Cyprus', 'Republic of Cyprus', 'Kýpros', 'Kıbrıs', 'Kıbrıs Cumhuriyeti'],
+  ['CZE', 203, 'Czechia', 'Czech Republic', 'Česká republika', 'Česko'],
+  ['DEU', 276, 'Germany', 'Federal Republic of Germany', 'Bundesrepublik Deutschland'],
+  ['DJI', 262, 'Djibouti', 'Republic of Djibouti', 'Jabuuti', 'Gabuuti', 'République de Djibouti', 'Gabuutih Ummuuno', 'Jamhuuriyadda Jabuuti'],
+  ['DMA', 212, 'Dominica', 'Commonwealth of Dominica', 'Dominique'],
+  ['DNK', 208, 'Denmark', 'Kingdom of Denmark', 'Danmark', 'Kongeriget Danmark'],
+  ['DOM', 214, 'Dominican Republic', 'Dominican Rep.'],
+  ['DZA', 12, 'Algeria', 'People\'s Democratic Republic of Algeria', 'Dzayer', 'Algérie'],
+  ['ECU', 218, 'Ecuador', 'Republic of Ecuador', 'República del Ecuador'],
+  ['EGY', 818, 'Egypt', 'Arab Republic of Egypt', 'Egypt, Arab Rep.'],
+  ['ERI', 232, 'Eritrea', 'State of Eritrea', 'Dawlat Iritriyá', 'Iritriyā'],
+  ['ESH', 732, 'Western Sahara', 'Sahrawi Arab Democratic Republic', 'W. Sahara'],
+  ['ESP', 724, 'Spain', 'Kingdom of Spain', 'Reino de España'],
+  ['EST', 233, 'Estonia', 'Republic of Estonia', 'Eesti', 'Eesti Vabariik'],
+  ['ETH', 231, 'Ethiopia', 'Federal Democratic Republic of Ethiopia'],
+  ['FIN', 246, 'Finland', 'Republic of Finland', 'Suomi', 'Suomen tasavalta', 'Republiken Finland'],
+  ['FJI', 242, 'Fiji', 'Republic of Fiji', 'Viti', 'Matanitu ko Viti'],
+  ['FLK', 238, 'Falkland Islands', 'Islas Malvinas', 'Falkland Islands (Malvinas)', 'Falkland Is.'],
+  ['FRA', 250, 'France', 'French Republic', 'République française'],
+  ['FRO', 234, 'Faroe Islands', 'Føroyar', 'Færøerne', 'Faeroe Islands', 'Faeroe Is.'],
+  ['FSM', 583, 'Micronesia', 'Federated States of Micronesia', 'Micronesia, Federated States of', 'Micronesia, Fed. Sts.'],
+  ['GAB', 266, 'Gabon', 'Gabonese Republic', 'République Gabonaise'],
+  ['GBR', 826, 'United Kingdom', 'United Kingdom of Great Britain and Northern Ireland', 'Great Britain'],
+  ['GEO', 268, 'Georgia', 'Sakartvelo'],
+  ['GGY', 831, 'Guernsey', 'Bailiwick of Guernsey', 'Bailliage de Guernesey'],
+  ['GHA', 288, 'Ghana', 'Republic of Ghana'],
+  ['GIB', 292, 'Gibraltar'],
+  ['GIN', 324, 'Guinea', 'Republic of Guinea', 'République de Guinée'],
+  ['GLP', 312, 'Guadeloupe', 'Gwadloup'],
+  ['GMB', 270, 'Gambia', 'Republic of the Gambia'],
+  ['GNB', 624, 'Guinea-Bissau', 'Republic of Guinea-Bissau', 'República da Guiné-Bissau'],
+  ['GNQ', 226, 'Equatorial Guinea', 'Republic of Equatorial Guinea', 'República de Guinea Ecuatorial', 'République de Guinée équatoriale', 'República da Guiné Equatorial', 'Eq. Guinea'],
+  ['GRC', 300, 'Greece', 'Hellenic Republic', 'Elláda'],
+  ['GRD', 308, 'Grenada'],
+  ['GRL', 304, 'Greenland', 'Grønland'],
+  ['GTM', 320, 'Guatemala', 'Republic of Guatemala'],
+  ['GUF', 254, 'French Guiana', 'Guiana', 'Guyane'],
+  ['GUM', 316, 'Guam', 'Guåhån'],
+  ['GUY', 328, 'Guyana', 'Co-operative Republic of Guyana'],
+  ['HKG', 344, 'Hong Kong', 'Hong Kong Special Administrative Region of the People\'s Republic of China', 'Hong Kong SAR, China'],
+  ['HMD', 334, 'Heard Island and McDonald Islands', 'Heard I. and McDonald Is.'],
+  ['HND', 340, 'Honduras', 'Republic of Honduras', 'República de Honduras'],
+  ['HRV', 191, 'Croatia', 'Republic of Croatia', 'Hrvatska', 'Republika Hrvatska'],
+  ['HTI', 332, 'Haiti', 'Republic of Haiti', 'République d\'Haïti', 'Repiblik Ayiti'],
+  ['HUN', 348, 'Hungary'],
+  ['IDN', 360, 'Indonesia', 'Republic of Indonesia', 'Republik Indonesia'],
+  ['IMN', 833, 'Isle of Man', 'Ellan Vannin', 'Mann', 'Mannin'],
+  ['IND', 356, 'India', 'Republic of India', 'Bhārat', 'Bharat Ganrajya'],
+  ['IOT', 86, 'British Indian Ocean Territory', 'Br. Indian Ocean Ter.'],
+  ['IRL', 372, 'Ireland', 'Republic of Ireland', 'Éire', 'Poblacht na hÉireann'],
+  ['IRN', 364, 'Iran', 'Islamic Republic of Iran', 'Iran, Islamic Republic of', 'Jomhuri-ye Eslāmi-ye Irān', 'Iran, Islamic Rep.'],
+  ['IRQ', 368, 'Iraq', 'Republic of Iraq'],
+  ['ISL', 352, 'Iceland', 'Island', 'Republic of Iceland', 'Lýðveldið Ísland'],
+  ['ISR', 376, 'Israel', 'State of Israel', 'Medīnat Yisrā\'el'],
+  ['ITA', 380, 'Italy', 'Italian Republic', 'Repubblica italiana'],
+  ['JAM', 388, 'Jamaica'],
+  ['JEY', 832, 'Jersey', 'Bailiwick of Jersey', 'Bailliage de Jersey', 'Bailliage dé Jèrri'],
+  ['JOR', 400, 'Jordan', 'Hashemite Kingdom of Jordan', 'al-Mamlakah al-Urdunīyah al-Hāshimīyah'],
+  ['JPN', 392, 'Japan', 'Nippon', 'Nihon'],
+  ['KAZ', 398, 'Kazakhstan', 'Republic of Kazakhstan', 'Qazaqstan', 'Qazaqstan Respublïkası', 'Respublika Kazakhstan'],
+  ['KEN', 404, 'Kenya', 'Republic of Kenya', 'Jamhuri ya Kenya'],
+  ['KGZ', 417, 'Kyrgyzstan', 'Kyrgyz Republic', 'Kyrgyz Respublikasy'],
+  ['KHM', 116, 'Cambodia', 'Kingdom of Cambodia'],
+  ['KIR', 296, 'Kiribati', 'Independent and Sovereign Republic of Kiribati', 'Republic of Kiribati', 'Ribaberiki Kiribati'],
+  ['KNA', 659, 'Saint Kitts and Nevis', 'Federation of Saint Christopher and Nevis'],
+  ['KOR', 410, 'South Korea', 'Republic of Korea', 'Korea, Republic of', 'Korea, Rep.'],
+  ['KWT', 414, 'Kuwait', 'State of Kuwait', 'Dawlat al-Kuwait'],
+  ['LAO', 418, 'Laos', 'Lao People\'s Democratic Republic', 'Sathalanalat Paxathipatai Paxaxon Lao', 'Lao PDR'],
+  ['LBN', 422, 'Lebanon', 'Lebanese Republic', 'Al-Jumhūrīyah Al-Libnānīyah'],
+  ['LBR', 430, 'Liberia', 'Republic of Liberia'],
+  ['LBY', 434, 'Libya', 'State of Libya', 'Dawlat Libya'],
+  ['LCA', 662, 'Saint Lucia'],
+  ['LIE', 438, 'Liechtenstein', 'Principality of Liechtenstein', 'Fürstentum Liechtenstein'],
+  ['LKA', 144, 'Sri Lanka', 'Democratic Socialist Republic of Sri Lanka'],
+  ['LSO', 426, 'Lesotho', 'Kingdom of Lesotho', 'Muso oa Lesotho'],
+  ['LTU', 440, 'Lithuania', 'Republic of Lithuania', 'Lietuvos Respublika'],
+  ['LUX', 442, 'Luxembourg', 'Grand Duchy of Luxembourg', 'Grand-Duché de Luxembourg', 'Großherzogtum Luxemburg', 'Groussherzogtum Lëtzebuerg'],
+  ['LVA', 428, 'Latvia', 'Republic of Latvia', 'Latvijas Republika'],
+  ['MAC', 446, 'Macau', 'Macao Special Administrative Region of the People\'s Republic of China', 'Macao', 'Região Administrativa Especial de Macau da República Popular da China', 'Macao SAR, China'],
+  ['MAF', 663, 'Saint Martin', 'Collectivity of Saint Martin', 'Collectivité de Saint-Martin', 'Saint Martin (French part)', 'St-Martin'],
+  ['MAR', 504, 'Morocco', 'Kingdom of Morocco', 'Al-Mamlakah al-Maġribiyah'],
+  ['MCO', 492, 'Monaco', 'Principality of Monaco', 'Principauté de Monaco'],
+  ['MDA', 498, 'Moldova', 'Republic of Moldova', 'Moldova, Republic of', 'Republica Moldova'],
+  ['MDG', 450, 'Madagascar', 'Republic of Madagascar', 'Repoblikan\'i Madagasikara', 'République de Madagascar'],
+  ['MDV', 462, 'Maldives', 'Republic of the Maldives', 'Maldive Islands', 'Dhivehi Raajjeyge Jumhooriyya'],
+  ['MEX', 484, 'Mexico', 'United Mexican States', 'Mexicanos', 'Estados Unidos Mexicanos'],
+  ['MHL', 584, 'Marshall Islands', 'Republic of the Marshall Islands', 'Marshall Is.'],
+  ['MKD', 807, 'North Macedonia', 'Republic of North Macedonia', 'The former Yugoslav Republic of Macedonia', 'Macedonia, The Former Yugoslav Republic of', 'Macedonia'],
+  ['MLI', 466, 'Mali', 'Republic of Mali', 'République du Mali'],
+  ['MLT', 470, 'Malta', 'Republic of Malta', 'Repubblika ta\' Malta'],
+  ['MMR', 104, 'Myanmar', 'Republic of the Union of Myanmar', 'Burma', 'Pyidaunzu Thanmăda Myăma Nainngandaw'],
+  ['MNE', 499, 'Montenegro', 'Crna Gora'],
+  ['MNG', 496, 'Mongolia'],
+  ['MNP', 580, 'Northern Mariana Islands', 'Commonwealth of the Northern Mariana Islands', 'Sankattan Siha Na Islas Mariånas', 'N. Mariana Is.'],
+  ['MOZ', 508, 'Mozambique', 'Republic of Mozambique', 'República de Moçambique'],
+  ['MRT', 478, 'Mauritania', 'Islamic Republic of Mauritania'],
+  ['MSR', 500, 'Montserrat'],
+  ['MTQ', 474, 'Martinique'],
+  ['MUS', 480, 'Mauritius', 'Republic of Mauritius', 'République de Maurice'],
+  ['MWI', 454, 'Malawi', 'Republic of Malawi'],
+  ['MYS', 458, 'Malaysia'],
+  ['MYT', 175, 'Mayotte', 'Department of Mayotte', 'Département de Mayotte'],
+  ['NAM', 516, 'Namibia', 'Republic of Namibia', 'Namibië'],
+  ['NCL', 540, 'New Caledonia'],
+  ['NER', 562, 'Niger', 'Republic of Niger', 'Nijar'],
+  ['NFK', 574, 'Norfolk Island', 'Territory of Norfolk Island', 'Teratri of Norf\'k Ailen'],
+  ['NGA', 566, 'Nigeria', 'Federal Republic of Nigeria', 'Nijeriya', 'Naíjíríà'],
+  ['NIC', 558, 'Nicaragua', 'Republic of Nicaragua', 'República de Nicaragua'],
+  ['NIU', 570, 'Niue'],
+  ['NLD', 528, 'Netherlands', 'Kingdom of the Netherlands', 'Holland', 'Nederland'],
+  ['NOR', 578, 'Norway', 'Kingdom of Norway', 'Norge', 'Noreg', 'Kongeriket Norge', 'Kongeriket Noreg'],
+  ['NPL', 524, 'Nepal', 'Federal Democratic Republic of Nepal', 'Loktāntrik Ganatantra Nepāl'],
+  ['NRU', 520, 'Nauru', 'Republic of Nauru', 'Naoero', 'Pleasant Island', 'Ripublik Naoero'],
+  ['NZL', 554, 'New Zealand', 'Aotearoa'],
+  ['OMN', 512, 'Oman', 'Sultanate of Oman'],
+  ['PAK', 586, 'Pakistan', 'Islamic Republic of Pakistan', 'Islāmī Jumhūriya\'eh Pākistān'],
+  ['PAN', 591, 'Panama', 'Republic of Panama', 'República de Panamá'],
+  ['PCN', 612, 'Pitcairn Islands', 'Pitcairn Group of Islands', 'Pitcairn', 'Pitcairn Henderson Ducie and Oeno Islands', 'Pitcairn Is.'],
+  ['PER', 604, 'Peru', 'Republic of Peru', 'República del Perú'],
+  ['PHL', 608, 'Philippines', 'Republic of the Philippines', 'Repúblika ng Pilipinas'],
+  ['PLW', 585, 'Palau', 'Republic of Palau', 'Beluu er a Belau'],
+  ['PNG', 598, 'Papua New Guinea', 'Independent State of Papua New Guinea', 'Independen Stet bilong Papua Niugini'],
+  ['POL', 616, 'Poland', 'Republic of Poland', 'Rzeczpospolita Polska'],
+  ['PRI', 630, 'Puerto Rico', 'Commonwealth of Puerto Rico', 'Estado Libre Asociado de Puerto Rico'],
+  ['PRK', 408, 'North Korea', 'Democratic People\'s Republic of Korea', 'DPRK', 'Chosŏn Minjujuŭi Inmin Konghwaguk', 'Korea, Democratic People\'s Republic of', 'Korea, Dem. People\'s Rep.'],
+  ['PRT', 620, 'Portugal', 'Portuguese Republic', 'Portuguesa', 'República Portuguesa'],
+  ['PRY', 600, 'Paraguay', 'Republic of Paraguay', 'República del Paraguay', 'Tetã Paraguái'],
+  ['PSE', 275, 'Palestine', 'State of Palestine', 'Palestine, State of', 'West Bank and Gaza'],
+  ['PYF', 258, 'French Polynesia', 'Polynésie française', 'Pōrīnetia Farāni', 'Fr. Polynesia'],
+  ['QAT', 634, 'Qatar', 'State of Qatar'],
+  ['REU', 638, 'Réunion', 'Réunion Island'],
+  ['ROU', 642, 'Romania', 'Rumania', 'Roumania'],
+  ['RUS', 643, 'Russia', 'Russian Federation'],
+  ['RWA', 646, 'Rwanda', 'Republic of Rwanda', 'Repubulika y\'u Rwanda', 'République du Rwanda'],
+  ['SAU', 682, 'Saudi Arabia', 'Kingdom of Saudi Arabia', 'Saudi'],
+  ['SDN', 729, 'Sudan', 'Republic of the Sudan', 'Jumhūrīyat as-Sūdān'],
+  ['SEN', 686, 'Senegal', 'Republic of Senegal', 'République du Sénégal'],
+  ['SGP', 702, 'Singapore', 'Republic of Singapore', 'Singapura', 'Republik Singapura'],
+  ['SGS', 239, 'South Georgia', 'South Georgia and the South Sandwich Islands', 'S. Geo. and the Is.'],
+  ['SHN', 654, 'Saint Helena, Ascension and Tristan da Cunha', 'Saint Helena'],
+  ['SJM', 744, 'Svalbard and Jan Mayen', 'Svalbard og Jan Mayen', 'Svalbard and Jan Mayen Islands'],
+  ['SLB', 90, 'Solomon Islands', 'Solomon Is.'],
+  ['SLE', 694, 'Sierra Leone', 'Republic of Sierra Leone'],
+  ['SLV', 222, 'El Salvador', 'Republic of El Salvador', 'República de El Salvador'],
+  ['SMR', 674, 'San Marino', 'Most Serene Republic of San Marino', 'Republic of San Marino', 'Repubblica di San Marino'],
+  ['SOM', 706, 'Somalia', 'Federal Republic of Somalia', 'Jamhuuriyadda Federaalka Soomaaliya'],
+  ['SPM', 666, 'Saint Pierre and Miquelon', 'Collectivité territoriale de Saint-Pierre-et-Miquelon'],
+  ['SRB', 688, 'Serbia', 'Republic of Serbia', 'Srbija', 'Republika Srbija'],
+  ['SSD', 728, 'South Sudan', 'Republic of South Sudan', 'S. Sudan'],
+  ['STP', 678, 'São Tomé and Príncipe', 'Democratic Republic of São Tomé and Príncipe', 'República Democrática de São Tomé e Príncipe'],
+  ['SUR', 740, 'Suriname', 'Republic of Suriname', 'Sarnam', 'Sranangron', 'Republiek Suriname'],
+  ['SVK', 703, 'Slovakia', 'Slovak Republic', 'Slovenská republika'],
+  ['SVN', 705, 'Slovenia', 'Republic of Slovenia', 'Republika Slovenija'],
+  ['SWE', 752, 'Sweden', 'Kingdom of Sweden', 'Konungariket Sverige'],
+  ['SWZ', 748, 'Eswatini', 'Kingdom of Eswatini', 'Swaziland', 'weSwatini', 'Swatini', 'Ngwane', 'Umbuso weSwatini'],
+  ['SXM', 534, 'Sint Maarten', 'Sint Maarten (Dutch part)'],
+  ['SYC', 690, 'Seychelles', 'Republic of Seychelles', 'Repiblik Sesel', 'République des Seychelles'],
+  ['SYR', 760, 'Syria', 'Syrian Arab Republic'],
+  ['TCA', 796, 'Turks and Caicos Islands', 'Turks and Caicos Is.'],
+  ['TCD', 148, 'Chad', 'Republic of Chad', 'Tchad', 'République du Tchad'],
+  ['TGO', 768, 'Togo', 'Togolese Republic', 'Togolese', 'République Togolaise'],
+  ['THA', 764, 'Thailand', 'Kingdom of Thailand', 'Prathet', 'Thai', 'Ratcha Anachak Thai'],
+  ['TJK', 762, 'Tajikistan', 'Republic of Tajikistan', 'Toçikiston', 'Çumhuriyi Toçikiston'],
+  ['TKL', 772, 'Tokelau'],
+  ['TKM', 795, 'Turkmenistan'],
+  ['TLS', 626, 'Timor-Leste', 'Democratic Republic of Timor-Leste', 'East Timor', 'Timor', 'República Democrática de Timor-Leste', 'Repúblika Demokrátika Timór-Leste', 'Timór Lorosa\'e', 'Timor Lorosae'],
+  ['TON', 776, 'Tonga', 'Kingdom of Tonga'],
+  ['TTO', 780, 'Trinidad and Tobago', 'Republic of Trinidad and Tobago'],
+  ['TUN', 788, 'Tunisia', 'Tunisian Republic', 'Republic of Tunisia', 'al-Jumhūriyyah at-Tūnisiyyah'],
+  ['TUR', 792, 'Türkiye', 'Republic of Türkiye', 'Republic of Turkey', 'Türkiye Cumhuriyeti', 'Turkey'],
+  ['TUV', 798, 'Tuvalu'],
+  ['TWN', 158, 'Taiwan', 'Republic of China (Taiwan)', 'Republic of China', 'Zhōnghuá Mínguó', 'Chinese Taipei'],
+  ['TZA', 834, 'Tanzania', 'United Republic of Tanzania', 'Tanzania, United Republic of', 'Jamhuri ya Muungano wa Tanzania'],
+  ['UGA', 800, 'Uganda', 'Republic of Uganda', 'Jamhuri ya Uganda'],
+  ['UKR', 804, 'Ukraine', 'Ukrayina'],
+  ['UMI', 581, 'United States Minor Outlying Islands'],
+  ['URY', 858, 'Uruguay', 'Oriental Republic of Uruguay', 'República Oriental del Uruguay'],
+  ['USA', 840, 'United States', 'United States of America'],
+  ['UZB', 860, 'Uzbekistan', 'Republic of Uzbekistan'],
+  ['VAT', 336, 'Vatican City', 'Vatican City State', 'Holy See (Vatican City State)', 'Vatican', 'Stato della Città del Vaticano', 'Holy See'],
+  ['VCT', 670, 'Saint Vincent and the Grenadines', 'St. Vin. and Gren.'],
+  ['VEN', 862, 'Venezuela', 'Bolivarian Republic of Venezuela', 'Venezuela, Bolivarian Republic of', 'República Bolivariana de Venezuela', 'Venezuela, RB'],
+  ['VGB', 92, 'British Virgin Islands', 'Virgin Islands', 'Virgin Islands, British', 'British Virgin Is.'],
+  ['VIR', 850, 'United States Virgin Islands', 'Virgin Islands of the United States', 'Virgin Islands, U.S.', 'U.S. Virgin Is.'],
+  ['VNM', 704, 'Vietnam', 'Socialist Republic of Vietnam', 'Viet Nam'],
+  ['VUT', 548, 'Vanuatu', 'Republic of Vanuatu', 'Ripablik blong Vanuatu', 'République de Vanuatu'],
+  ['WLF', 876, 'Wallis and Futuna', 'Territory of the Wallis and Futuna Islands', 'Territoire des îles Wallis et Futuna', 'Wallis and Futuna Islands', 'Wallis and Futuna Is.'],
+  ['WSM', 882, 'Samoa', 'Independent State of Samoa'],
+  ['XKX', null, 'Kosovo', 'Republic of Kosovo'],
+  ['YEM', 887, 'Yemen', 'Republic of Yemen', 'Yemeni Republic', 'al-Jumhūriyyah al-Yamaniyyah', 'Yemen, Rep.'],
+  ['ZAF', 710, 'South Africa', 'Republic of South Africa', 'Suid-Afrika'],
+  ['ZMB', 894, 'Zambia', 'Republic of Zambia'],
+  ['ZWE', 716, 'Zimbabwe', 'Republic of Zimbabwe']
+];
+
+// Codes that are not (or no longer) ISO 3166-1 but still show up in source files.
+const ISO3_ALIASES = {
+  // GeoJSON quirks
+  'SDS': 'SSD', // South Sudan in the D3 graph gallery world.geojson
+  'KOS': 'XKX', // Kosovo
+  'KSV': 'XKX', // Kosovo
+  'SOL': 'SOM', // Somaliland (Natural Earth), reported under Somalia
+  'CYN': 'CYP', // Northern Cyprus (Natural Earth), reported under Cyprus
+  // historic / withdrawn codes
+  'ROM': 'ROU', // Romania before 2002
+  'ZAR': 'COD', // Zaire
+  'TMP': 'TLS', // East Timor
+  'BUR': 'MMR', // Burma
+  'YUG': 'SRB', // Yugoslavia
+  'SCG': 'SRB', // Serbia and Montenegro
+  'SUN': 'RUS', // USSR
+  'CSK': 'CZE', // Czechoslovakia
+  'DDR': 'DEU', // East Germany
+  'YMD': 'YEM', // South Yemen
+  'YAR': 'YEM', // North Yemen
+  'HVO': 'BFA', // Upper Volta
+  'DHY': 'BEN', // Dahomey
+  'RHO': 'ZWE'  // Southern Rhodesia
+};
+
+const NUMERIC_ALIASES = {
+  689: 'XKX', // Kosovo in the EPI CSVs
+  412: 'XKX', // Kosovo in some UN-derived files
+  891: 'SRB', // Serbia and Montenegro
+  890: 'SRB', // Yugoslavia
+  810: 'RUS', // USSR
+  200: 'CZE', // Czechoslovakia
+  278: 'DEU', // East Germany
+  280: 'DEU', // West Germany
+  886: 'YEM', // North Yemen
+  720: 'YEM', // South Yemen
+  230: 'ETH', // Ethiopia before Eritrean independence
+  736: 'SDN'  // Sudan before South Sudan's independence
+};
+
+// Natural Earth features without an id of their own, keyed by their (normalized) name.
+const NAME_ALIASES = {
+  'somaliland': 'SOM',
+  'n cyprus': 'CYP',
+  'northern cyprus': 'CYP',
+  'indian ocean ter': 'AUS',
+  'ashmore and cartier is': 'AUS'
+};
+
+// lowercase, strip accents and punctuation, expand "St." and drop "the"/"of" so that
+// "Congo, the Democratic Republic of the" and "Democratic Republic of Congo" compare equal
+export function normalizeCountryName(s) {
+  return (s ?? '').toString()
+    .normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\bst\.? /g, 'saint ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(the|of)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const byIso3 = new Map();
+const byNumeric = new Map();
+const byName = new Map();
+COUNTRIES.forEach(([iso3, n3, ...names]) => {
+  byIso3.set(iso3, { iso3, numeric: n3, name: names[0], names });
+  if (n3 != null) byNumeric.set(n3, iso3);
+  names.forEach(n => byName.set(normalizeCountryName(n), iso3));
+});
+Object.entries(NAME_ALIASES).forEach(([n, iso3]) => byName.set(n, iso3));
+
+// canonical record ({ iso3, numeric, name, names }) for an ISO3 code, or null
+export function countryInfo(iso3) {
+  return byIso3.get(iso3) || null;
+}
+
+// Resolve a country from any of its identifiers. Codes win over names; the first
+// identifier that resolves is used. Returns { iso3, via } or null.
+//   codes:   candidate alpha-3 codes (non alpha-3 values are ignored)
+//   numeric: an ISO numeric code such as 4, '4' or '004'
+//   name:    a display name in any of the spellings above
+export function resolveCountry({ codes = [], numeric = null, name = null } = {}) {
+  for (const c of codes) {
+    if (c == null) continue;
+    const s = c.toString().trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(s)) continue;
+    if (byIso3.has(s)) return { iso3: s, via: 'iso3' };
+    if (ISO3_ALIASES[s]) return { iso3: ISO3_ALIASES[s], via: 'alias' };
+  }
+  if (numeric != null && numeric !== '' && isFinite(+numeric)) {
+    const n = +numeric;
+    if (byNumeric.has(n)) return { iso3: byNumeric.get(n), via: 'numeric' };
+    if (NUMERIC_ALIASES[n]) return { iso3: NUMERIC_ALIASES[n], via: 'alias' };
+  }
+  const key = normalizeCountryName(name);
+  if (key && byName.has(key)) return { iso3: byName.get(key), via: 'name' };
+  return null;
+}
+
+// Resolve a CSV row. Handles the EPI layout (code, iso, country) and the GDIS one (iso3, country).
+export function resolveRow(row) {
+  return resolveCountry({
+    codes: [row.iso, row.iso3, row.ISO3, row.iso_a3],
+    numeric: row.code ?? row.iso_n3 ?? null,
+    name: row.country ?? row.Country ?? row.name ?? null
+  });
+}
@@ -0,0 +1,214 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { featureIso3, featureName } from "./world-map.js";
+import { formatIndicator, formatIndicatorShort } from "./indicator-layer.js";
+import { percentChange, cagr } from "./metrics.js";
+
+// --- small contract ---
+// Inputs: an indicator layer (for series(iso), rank(iso, year) and indicator()) and an optional
+//         onChange() called when the user pins or unpins countries
+// Output: a world-map layer that pins clicked countries in a side panel: a line chart of each
+//         country's full series with the slider year marked, plus rank and growth stats.
+//         Click selects one country (clicking it again unpins it), shift-click adds/removes
+//         countries for comparison; Escape or the close button clears the panel.
+// Error modes: countries without data are listed with "No data"
+
+const chartWidth = 260;
+const chartHeight = 130;
+const chartMargin = { top: 8, right: 10, bottom: 20, left: 42 };
+
+export function createCountryPanel({ source, onChange = null }) {
+  // pinned countries in click order: { iso, name }
+  let selected = [];
+  let mapRef = null;
+  const color = d3.scaleOrdinal(d3.schemeTableau10);
+
+  const panel = d3.select('body').append('aside')
+    .attr('id', 'country-panel')
+    .attr('aria-live', 'polite')
+    .style('position', 'fixed')
+    .style('top', '12px')
+    .style('right', '12px')
+    .style('width', `${chartWidth + 20}px`)
+    .style('max-height', 'calc(100vh - 24px)')
+    .style('overflow-y', 'auto')
+    .style('background', '#fff')
+    .style('border', '1px solid #ccc')
+    .style('border-radius', '4px')
+    .style('box-shadow', '0 2px 6px rgba(0,0,0,0.15)')
+    .style('padding', '8px 10px')
+    .style('font-size', '12px')
+    .style('display', 'none')
+    .style('z-index', 900);
+
+  function clear() {
+    selected = [];
+    update();
+    if (onChange) onChange();
+  }
+
+  d3.select(window).on('keydown.country-panel', (event) => {
+    if (event.key === 'Escape' && selected.length) clear();
+  });
+
+  function countryClick(map, feature, event) {
+    mapRef = map;
+    const iso = featureIso3(feature);
+    if (!iso) return;
+    const name = featureName(feature) || iso;
+    const idx = selected.findIndex(s => s.iso === iso);
+    if (event && event.shiftKey) {
+      // shift-click toggles the country in the comparison
+      if (idx >= 0) selected.splice(idx, 1); else selected.push({ iso, name });
+    } else {
+      selected = (idx >= 0 && selected.length === 1) ? [] : [{ iso, name }];
+    }
+    update();
+    if (onChange) onChange();
+  }
+
+  // pin these countries (ISO3 codes, in order), e.g. from a shared link; unknown codes are skipped
+  function setSelected(map, isos) {
+    mapRef = map;
+    const names = new Map(map.features.map(f => [featureIso3(f), featureName(f)]));
+    selected = Array.from(new Set(isos))
+      .filter(iso => names.has(iso))
+      .map(iso => ({ iso, name: names.get(iso) || iso }));
+    update();
+  }
+
+  function render(map) {
+    mapRef = map;
+    update();
+  }
+
+  function update() {
+    if (mapRef) {
+      const isos = new Set(selected.map(s => s.iso));
+      mapRef.setHighlighted(d => isos.has(featureIso3(d)));
+    }
+    panel.html('');
+    if (!selected.length) {
+      panel.style('display', 'none');
+      return;
+    }
+    panel.style('display', 'block');
+    const indicator = source.indicator();
+    const year = mapRef ? mapRef.currentYear : null;
+
+    const header = panel.append('div')
+      .style('display', 'flex')
+      .style('justify-content', 'space-between')
+      .style('align-items', 'center');
+    header.append('strong').text(indicator.label || indicator.code);
+    header.append('button')
+      .attr('type', 'button')
+      .attr('aria-label', 'Close country panel')
+      .style('border', 'none')
+      .style('background', 'none')
+      .style('cursor', 'pointer')
+      .style('font-size', '14px')
+      .text('✕')
+      .on('click', clear);
+
+    const seriesList = selected.map(s => ({ ...s, values: source.series(s.iso) }));
+    drawChart(panel, seriesList, year);
+
+    seriesList.forEach(s => {
+      const card = panel.append('div')
+        .attr('class', 'country-stats')
+        .style('border-top', '1px solid #eee')
+        .style('margin-top', '6px')
+        .style('padding-top', '4px');
+      card.append('div')
+        .style('font-weight', 'bold')
+        .style('color', color(s.iso))
+        .text(s.name);
+
+      const known = s.values.filter(d => d.value != null);
+      if (!known.length) {
+        card.append('div').text('No data');
+        return;
+      }
+      const first = known[0];
+      const last = known[known.length - 1];
+      const current = s.values.find(d => d.year === year);
+      const previous = s.values.find(d => d.year === year - 1);
+      const r = source.rank(s.iso, year);
+      const pct = v => (v == null ? 'n/a' : `${d3.format('+.1f')(v)}%`);
+      const lines = [
+        `${indicator.code} ${year}: ${current && current.value != null ? formatIndicator(current.value) : 'No data'}`,
+        `Rank ${year}: ${r ? `${r.rank} of ${r.of}` : 'n/a'}`,
+        `Change vs ${year - 1}: ${pct(percentChange(previous && previous.value, current && current.value))}`,
+        `Change ${first.year}–${last.year}: ${pct(percentChange(first.value, last.value))}`,
+        `CAGR ${first.year}–${last.year}: ${pct(cagr(first.value, last.value, last.year - first.year))} / yr`
+      ];
+      card.selectAll('div.stat').data(lines).join('div').attr('class', 'stat').text(d => d);
+    });
+
+    panel.append('div')
+      .style('margin-top', '6px')
+      .style('color', '#888')
+      .style('font-size', '11px')
+      .text('Shift-click countries to compare · Esc to clear');
+  }
+
+  // one line per pinned country on shared axes, with the slider year marked
+  function drawChart(parent, seriesList, year) {
+    const w = chartWidth - chartMargin.left - chartMargin.right;
+    const h = chartHeight - chartMargin.top - chartMargin.bottom;
+    const all = seriesList.flatMap(s => s.values);
+    const years = d3.extent(all, d => d.year);
+    const known = all.filter(d => d.value != null);
+    if (!known.length || years[0] == null) return;
+
+    const x = d3.scaleLinear().domain(years).range([0, w]);
+    const y = d3.scaleLinear().domain(d3.extent(known, d => d.value)).nice().range([h, 0]);
+
+    const svg = parent.append('svg')
+      .attr('class', 'sparkline')
+      .attr('width', chartWidth)
+      .attr('height', chartHeight)
+      .append('g')
+      .attr('transform', `translate(${chartMargin.left},${chartMargin.top})`);
+
+    svg.append('g')
+      .attr('transform', `translate(0,${h})`)
+      .call(d3.axisBottom(x).tickValues(years).tickFormat(d3.format('d')))
+      .style('font-size', '9px');
+    svg.append('g')
+      .call(d3.axisLeft(y).ticks(4).tickFormat(formatIndicatorShort))
+      .style('font-size', '9px');
+
+    if (year != null && year >= years[0] && year <= years[1]) {
+      svg.append('line')
+        .attr('class', 'year-marker')
+        .attr('x1', x(year)).attr('x2', x(year))
+        .attr('y1', 0).attr('y2', h)
+        .attr('stroke', '#999')
+        .attr('stroke-dasharray', '3,2');
+    }
+
+    const line = d3.line()
+      .defined(d => d.value != null)
+      .x(d => x(d.year))
+      .y(d => y(d.value));
+    seriesList.forEach(s => {
+      svg.append('path')
+        .datum(s.values)
+        .attr('fill', 'none')
+        .attr('stroke', color(s.iso))
+        .attr('stroke-width', 1.5)
+        .attr('d', line);
+      const current = s.values.find(d => d.year === year && d.value != null);
+      if (current) {
+        svg.append('circle')
+          .attr('cx', x(current.year))
+          .attr('cy', y(current.value))
+          .attr('r', 3)
+          .attr('fill', color(s.iso));
+      }
+    });
+  }
+
+  return { render, countryClick, clear, setSelected, selected: () => selected.map(s => s.iso) };
+}
@@ -0,0 +1,207 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { featureIso3, featureName } from "./world-map.js";
+import { resolveRow } from "./country-codes.js";
+
+// --- small contract ---
+// Inputs: a world map (see world-map.js), the page's CSV rows (may be null) and the #country-search input
+// Output: a type-ahead list under the input. Choosing a match animates the zoom to the country's
+//         path.bounds and outlines it. Names come from the map features and from the CSV's country
+//         column (so "Russian Federation" finds Russia). Rows with latitude/longitude (the disaster
+//         data) also offer their admin regions, and countries missing from the map, as places that
+//         zoom to the bounds of their points.
+// Error modes: without an #country-search input nothing is drawn
+
+const MAX_MATCHES = 8;
+
+// lowercase without accents, for matching what is typed against names
+function fold(s) {
+  return (s ?? '').toString().normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase().trim();
+}
+
+// Build the searchable entries: { label, detail, features } for countries on the map,
+// { label, detail, points } for places only known from point rows.
+function buildEntries(features, rows) {
+  const entries = [];
+  const seen = new Set();
+  const byIso = d3.group(features.filter(f => featureIso3(f)), f => featureIso3(f));
+  const add = (entry) => {
+    const key = fold(entry.label);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    entry.key = key;
+    entries.push(entry);
+  };
+
+  features.forEach(f => {
+    const name = featureName(f);
+    const iso = featureIso3(f);
+    add({ label: name, features: iso ? byIso.get(iso) : [f] });
+  });
+
+  const hasPoints = !!rows && !!rows.columns && rows.columns.includes('latitude') && rows.columns.includes('longitude');
+  const pointsOf = (list) => list
+    .map(d => [+d.longitude, +d.latitude])
+    .filter(([lon, lat]) => isFinite(lon) && isFinite(lat) && !(lon === 0 && lat === 0));
+
+  // CSV country names that differ from the map's name point at the same shapes
+  d3.group(rows || [], d => d.country ?? d.Country ?? d.name ?? '').forEach((list, name) => {
+    if (!name) return;
+    const c = resolveRow(list[0]);
+    const shapes = c ? byIso.get(c.iso3) : null;
+    if (shapes) {
+      add({ label: name, detail: featureName(shapes[0]), features: shapes });
+    } else if (hasPoints) {
+      const points = pointsOf(list);
+      if (points.length) add({ label: name, detail: 'not on map', points });
+    }
+  });
+
+  if (hasPoints) {
+    d3.group(rows.filter(d => d.adm1), d => d.adm1, d => d.country).forEach((byCountry, adm1) => {
+      byCountry.forEach((list, country) => {
+        const points = pointsOf(list);
+        if (points.length) add({ label: `${adm1}, ${country}`, detail: 'region', points });
+      });
+    });
+  }
+  return entries;
+}
+
+export function createCountrySearch({ map, rows = null, input = d3.select('#country-search') }) {
+  if (input.empty()) return { setRows() {}, select() {} };
+  let entries = buildEntries(map.features, rows);
+  let matches = [];
+  let active = -1;
+
+  // the list is positioned under the input; its parent becomes the positioning context
+  d3.select(input.node().parentNode).style('position', 'relative');
+  const list = d3.select(input.node().parentNode).append('ul')
+    .attr('id', 'country-search-list')
+    .attr('role', 'listbox')
+    .style('position', 'absolute')
+    .style('list-style', 'none')
+    .style('margin', '0')
+    .style('padding', '2px 0')
+    .style('background', '#fff')
+    .style('border', '1px solid #ccc')
+    .style('box-shadow', '0 2px 6px rgba(0,0,0,0.15)')
+    .style('text-align', 'left')
+    .style('font-size', '13px')
+    .style('min-width', '220px')
+    .style('display', 'none')
+    .style('z-index', 950);
+  input.attr('role', 'combobox')
+    .attr('aria-autocomplete', 'list')
+    .attr('aria-controls', 'country-search-list')
+    .attr('autocomplete', 'off');
+
+  // outline of the chosen country (drawn above every layer, never catches the mouse)
+  const outline = map.g.append('path')
+    .attr('class', 'search-highlight')
+    .attr('fill', 'none')
+    .attr('stroke', '#e6550d')
+    .attr('stroke-width', 2)
+    .attr('vector-effect', 'non-scaling-stroke')
+    .attr('pointer-events', 'none');
+
+  function find(text) {
+    const q = fold(text);
+    if (!q) return [];
+    // names starting with the text first, then a word starting with it, then anywhere
+    const rank = e => (e.key.startsWith(q) ? 0 : e.key.includes(` ${q}`) ? 1 : e.key.includes(q) ? 2 : 3);
+    return entries
+      .map(e => ({ e, r: rank(e) }))
+      .filter(d => d.r < 3)
+      .sort((a, b) => a.r - b.r || d3.ascending(a.e.label, b.e.label))
+      .slice(0, MAX_MATCHES)
+      .map(d => d.e);
+  }
+
+  function showList() {
+    list.style('left', `${input.node().offsetLeft}px`)
+      .style('top', `${input.node().offsetTop + input.node().offsetHeight}px`)
+      .style('display', matches.length ? 'block' : 'none');
+    list.selectAll('li')
+      .data(matches)
+      .join('li')
+      .attr('role', 'option')
+      .attr('aria-selected', (d, i) => i === active)
+      .style('padding', '3px 8px')
+      .style('cursor', 'pointer')
+      .style('background', (d, i) => (i === active ? '#eef' : null))
+      .html('')
+      .call(li => li.append('span').text(d => d.label))
+      .call(li => li.filter(d => d.detail).append('span')
+        .style('color', '#888')
+        .style('margin-left', '6px')
+        .text(d => `(${d.detail})`))
+      // mousedown fires before the input's blur hides the list
+      .on('mousedown', (event, d) => {
+        event.preventDefault();
+        select(d);
+      });
+  }
+
+  function hideList() {
+    matches = [];
+    active = -1;
+    list.style('display', 'none');
+  }
+
+  // zoom to an entry and outline it
+  function select(entry) {
+    input.property('value', entry.label);
+    hideList();
+    if (entry.features) {
+      const shapes = { type: 'FeatureCollection', features: entry.features };
+      // on the globe, turn the country to the front so it is outlined and framed whole
+      map.rotateTo(...d3.geoCentroid(shapes));
+      outline.datum(shapes).attr('d', map.path).raise();
+      map.zoomToBounds(map.path.bounds(shapes));
+    } else {
+      outline.attr('d', null);
+      // on the globe, turn the places to the front first if any of them is on the far side
+      const hidden = entry.points.some(([lon, lat]) => !map.projectPoint(lon, lat));
+      if (hidden) {
+        const [lon, lat] = d3.geoCentroid({ type: 'MultiPoint', coordinates: entry.points });
+        map.rotateTo(lon, lat);
+      }
+      const projected = entry.points.map(([lon, lat]) => map.projectPoint(lon, lat)).filter(Boolean);
+      if (!projected.length) return;
+      const [x0, x1] = d3.extent(projected, p => p[0]);
+      const [y0, y1] = d3.extent(projected, p => p[1]);
+      // keep a little context around a single point
+      const pad = 10;
+      map.zoomToBounds([[x0 - pad, y0 - pad], [x1 + pad, y1 + pad]]);
+    }
+  }
+
+  input.on('input', function () {
+    matches = find(this.value);
+    active = matches.length ? 0 : -1;
+    showList();
+    if (!this.value) outline.attr('d', null);
+  });
+  input.on('keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (!matches.length) return;
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      active = (active + step + matches.length) % matches.length;
+      showList();
+    } else if (event.key === 'Enter') {
+      if (active >= 0) select(matches[active]);
+    } else if (event.key === 'Escape') {
+      hideList();
+    }
+  });
+  input.on('blur', hideList);
+
+  return {
+    // re-index after the page swaps its CSV (e.g. another indicator)
+    setRows(nextRows) {
+      entries = buildEntries(map.features, nextRows);
+    },
+    select
+  };
+}
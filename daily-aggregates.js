@@ -0,0 +1,158 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { loadAnnualRows, loadDailyRows, featureLabel } from "./hunting-data.js";
+
+// --- small contract ---
+// Inputs: the daily hunting-season rows, and the annual rows to check them against (both through
+//         hunting-data.js)
+// Output: the annual metrics that can be derived from the days (AGGREGATES), recomputed per season;
+//         every year and metric where that disagrees with the annual file; and
+//         withRecomputedColumns(), which swaps the columns recomputed with the annual file's own
+//         definition (the day counts) for the recomputed values so a chart can offer the daily file
+//         as an alternative source
+// Error modes: a season without any value for a metric gets null; a year missing from either file
+//              is reported as a disagreement with that side null; load failures reject like
+//              hunting-data.js (and the next call tries again)
+
+export const SOURCES = [
+  { key: 'annual', label: 'annual file' },
+  { key: 'daily', label: 'recomputed from daily file' }
+];
+
+// the annual file stores these with two decimals; recomputed values are rounded the same way
+// before comparing, so only real differences are reported
+const round = v => (v == null ? null : Math.round(v * 100) / 100);
+
+// the annual file's days_abv_* rule: a day counts when its maximum is at or above the threshold
+// (">=" reproduces days_abv_10 in 16 of the 17 seasons, ">" in only 12)
+export function isDayAtOrAbove(day, threshold) {
+  return day.temp_max != null && day.temp_max >= threshold;
+}
+
+// number of days at or above the threshold (null when no day has a maximum)
+export function countDaysAtOrAbove(days, threshold) {
+  return days.some(d => d.temp_max != null) ? days.filter(d => isDayAtOrAbove(d, threshold)).length : null;
+}
+
+// `offered` marks the metrics whose recomputation follows the annual file's definition. The
+// temperature summaries do not: the annual file takes them over a longer window than the daily
+// file's Sep 1–25 (its lows are colder than any day in the daily file), so they are only
+// compared, never swapped in.
+export const AGGREGATES = [
+  {
+    key: 'mean_temp_hunting_season',
+    description: 'mean of the daily mean temperatures',
+    offered: false,
+    compute: days => d3.mean(days, d => d.temp_mean)
+  },
+  {
+    key: 'days_abv_10',
+    description: 'days whose maximum is 10 °C or more',
+    offered: true,
+    compute: days => countDaysAtOrAbove(days, 10)
+  },
+  {
+    key: 'days_abv_15.5',
+    description: 'days whose maximum is 15.5 °C or more',
+    offered: true,
+    compute: days => countDaysAtOrAbove(days, 15.5)
+  },
+  {
+    key: 'temp_range',
+    description: 'highest daily maximum minus lowest daily minimum',
+    offered: false,
+    compute: days => {
+      const hi = d3.max(days, d => d.temp_max);
+      const lo = d3.min(days, d => d.temp_min);
+      return hi == null || lo == null ? null : hi - lo;
+    }
+  },
+  {
+    key: 'low_temp_hunting_season',
+    description: 'lowest daily minimum',
+    offered: false,
+    compute: days => d3.min(days, d => d.temp_min)
+  }
+];
+
+export const AGGREGATE_KEYS = AGGREGATES.map(a => a.key);
+export const OFFERED_KEYS = AGGREGATES.filter(a => a.offered).map(a => a.key);
+
+// one row per season: { year, <metric>: value, ... }, in year order
+export function aggregateDailyRows(daily) {
+  const rows = Array.from(d3.group(daily, d => d.year), ([year, days]) => {
+    const row = { year };
+    AGGREGATES.forEach(a => { row[a.key] = round(a.compute(days)); });
+    return row;
+  }).sort((a, b) => a.year - b.year);
+  rows.columns = ['year', ...AGGREGATE_KEYS];
+  return rows;
+}
+
+// [{ year, metric, annual, daily, difference }] for every value that differs
+export function compareWithAnnual(recomputed, annual) {
+  const byYear = d3.index(recomputed, d => d.year);
+  const annualByYear = d3.index(annual, d => +d.year);
+  const years = Array.from(new Set([...byYear.keys(), ...annualByYear.keys()])).sort((a, b) => a - b);
+  const mismatches = [];
+  years.forEach(year => {
+    AGGREGATES.forEach(({ key }) => {
+      const fromAnnual = annualByYear.has(year) ? annualByYear.get(year)[key] ?? null : null;
+      const fromDaily = byYear.has(year) ? byYear.get(year)[key] : null;
+      if (fromAnnual == null && fromDaily == null) return;
+      if (fromAnnual != null && fromDaily != null && Math.abs(fromAnnual - fromDaily) < 1e-9) return;
+      mismatches.push({
+        year,
+        metric: key,
+        annual: fromAnnual,
+        daily: fromDaily,
+        difference: fromAnnual == null || fromDaily == null ? null : round(fromDaily - fromAnnual)
+      });
+    });
+  });
+  return mismatches;
+}
+
+// a copy of the annual rows with the offered columns taken from the daily file; years the daily
+// file does not cover keep the annual values
+export function withRecomputedColumns(annual, recomputed) {
+  const byYear = d3.index(recomputed, d => d.year);
+  const rows = annual.map(row => {
+    const copy = { ...row };
+    const daily = byYear.get(+row.year);
+    if (daily) OFFERED_KEYS.forEach(k => { copy[k] = daily[k]; });
+    return copy;
+  });
+  rows.columns = annual.columns;
+  return rows;
+}
+
+let pending = null;
+
+// { rows, mismatches }, computed once; the disagreements are also logged to the console
+export function loadDailyAggregates() {
+  if (!pending) {
+    pending = Promise.all([loadDailyRows(), loadAnnualRows()]).then(([daily, annual]) => {
+      const rows = aggregateDailyRows(daily);
+      const mismatches = compareWithAnnual(rows, annual);
+      if (mismatches.length) {
+        console.warn(`Daily aggregates disagree with the annual file in ${mismatches.length} places:`);
+        console.table(mismatches);
+      }
+      return { rows, mismatches };
+    });
+    // forget failures so a later call can retry
+    pending.catch(() => { pending = null; });
+  }
+  return pending;
+}
+
+// a one-line summary of the disagreements for one metric ("" when it is not recomputed)
+export function describeMismatches(mismatches, metric, yearCount) {
+  if (!AGGREGATE_KEYS.includes(metric)) return '';
+  if (!OFFERED_KEYS.includes(metric)) {
+    return `${featureLabel(metric)} stays from the annual file, which takes it over a longer window`;
+  }
+  const years = mismatches.filter(m => m.metric === metric).map(m => m.year);
+  if (!years.length) return `${featureLabel(metric)} matches the annual file in every year`;
+  return `${featureLabel(metric)} differs from the annual file in ${years.length} of ${yearCount} years`;
+}
@@ -0,0 +1,293 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { createBarChart } from "./bar-chart.js";
+import { createScatterChart } from "./scatter-chart.js";
+
+// --- small contract ---
+// Inputs: a container, rows from hunting-data.js and a shared year selection (see year-selection.js)
+// Output: the three linked views of the dashboard: yearly bars of one annual feature and a scatter
+//         of two annual features (the bar and scatter pages' own charts, see bar-chart.js and
+//         scatter-chart.js), and the daily temperature / water level of every season. Hovering a
+//         year or brushing years in any view highlights the same years in all of them.
+// Error modes: a year missing a value gets an empty bar; it is left out of the scatter, and a
+//              missing day leaves a gap in the daily lines
+
+const FADED = 0.2;
+const HOVER_STROKE = '#222';
+const TEMP_COLOR = '#d62728';
+const WATER_COLOR = '#1f77b4';
+
+// the dashboard's charts shrink with their column
+function fitWidth(svg, label) {
+  return svg
+    .attr('role', 'img')
+    .attr('aria-label', label)
+    .style('width', '100%')
+    .style('height', 'auto')
+    .style('display', 'block');
+}
+
+function chartSvg(container, width, height, label) {
+  return fitWidth(container.append('svg').attr('viewBox', `0 0 ${width} ${height}`), label);
+}
+
+// the view's own tooltip, positioned at the pointer
+function createTip() {
+  const tip = d3.select('body').append('div')
+    .attr('class', 'dashboard-tip')
+    .style('position', 'absolute')
+    .style('pointer-events', 'none')
+    .style('background', 'white')
+    .style('border', '1px solid #999')
+    .style('border-radius', '4px')
+    .style('padding', '4px 8px')
+    .style('font-size', '12px')
+    .style('display', 'none');
+  return {
+    show(event, html) {
+      tip.html(html)
+        .style('display', null)
+        .style('left', `${event.pageX + 12}px`)
+        .style('top', `${event.pageY - 10}px`);
+    },
+    hide() {
+      tip.style('display', 'none');
+    }
+  };
+}
+
+// padded extent, so variables far from zero (day of year, negative temperatures) use the space
+function paddedDomain(values) {
+  const [lo, hi] = d3.extent(values);
+  if (lo == null) return [0, 1];
+  const pad = (hi - lo) * 0.08 || Math.abs(hi) * 0.1 || 1;
+  return [lo - pad, hi + pad];
+}
+
+// years whose band centre lies inside [x0, x1]
+function yearsInBandRange(scale, [x0, x1]) {
+  return scale.domain().filter(y => {
+    const c = scale(y) + scale.bandwidth() / 2;
+    return c >= x0 && c <= x1;
+  });
+}
+
+// year of the band under the pointer (gaps between bands count half to each side), or null
+function yearAtBand(scale, px) {
+  const half = (scale.step() - scale.bandwidth()) / 2;
+  const year = scale.domain().find(y => px >= scale(y) - half && px < scale(y) + scale.bandwidth() + half);
+  return year ?? null;
+}
+
+// The bar page's chart (bar-chart.js) of one annual feature; brushing along x selects years
+export function createBarView({ container, rows, feature, selection, id = 'bars' }) {
+  const chart = createBarChart({ container, width: 390, height: 200 });
+  fitWidth(chart.svg, 'Yearly values; drag to select years');
+  chart.update({ rows, feature }, 0);
+
+  const brush = d3.brushX()
+    .extent([[0, 0], [chart.width, chart.height]])
+    .on('end', (event) => {
+      if (!event.sourceEvent) return;
+      selection.select(event.selection ? yearsInBandRange(chart.x, event.selection) : null, id);
+    });
+  const brushG = chart.plot.append('g').attr('class', 'brush').call(brush);
+  // the brush overlay sits on top of the bars, so hovering works out the year from the pointer
+  brushG
+    .on('mousemove.hover', (event) => {
+      const year = yearAtBand(chart.x, d3.pointer(event)[0]);
+      selection.hover(year, id);
+      chart.hover(event, year);
+    })
+    .on('mouseleave.hover', () => {
+      selection.hover(null, id);
+      chart.hover(null, null);
+    });
+
+  selection.on(({ kind, source }) => {
+    // another view's selection replaces this view's brush
+    if (kind === 'select' && source !== id) brushG.call(brush.move, null);
+    chart.highlight({ isSelected: selection.isSelected, hovered: selection.hovered() });
+  });
+
+  return {
+    setFeature(next) {
+      chart.update({ feature: next });
+    }
+  };
+}
+
+// The scatter page's chart (scatter-chart.js) of two annual features; a 2-D brush behind the
+// points selects the years of the points inside it
+export function createScatterView({ container, rows, xFeature, yFeature, selection, id = 'scatter' }) {
+  const chart = createScatterChart({
+    container,
+    width: 390,
+    height: 200,
+    onHover: year => selection.hover(year, id)
+  });
+  fitWidth(chart.svg, 'Feature against feature; drag a box to select years');
+  chart.setData(rows, xFeature, yFeature, 0);
+
+  const { xScale: x, yScale: y } = chart;
+  const brush = d3.brush()
+    .extent([[0, 0], [chart.width, chart.height]])
+    .on('end', (event) => {
+      if (!event.sourceEvent) return;
+      if (!event.selection) {
+        selection.select(null, id);
+        return;
+      }
+      const [[x0, y0], [x1, y1]] = event.selection;
+      const years = chart.points()
+        .filter(d => x(d.x) >= x0 && x(d.x) <= x1 && y(d.y) >= y0 && y(d.y) <= y1)
+        .map(d => d.year);
+      selection.select(years, id);
+    });
+  const brushG = chart.underlay.append('g').attr('class', 'brush').call(brush);
+
+  selection.on(({ kind, source }) => {
+    if (kind === 'select' && source !== id) brushG.call(brush.move, null);
+    chart.highlight({ isSelected: selection.isSelected, hovered: selection.hovered() });
+  });
+
+  return {
+    setFeatures(nextX, nextY) {
+      chart.setData(rows, nextX, nextY);
+    }
+  };
+}
+
+// Daily mean temperature (with the min/max band) and water level of every season side by side,
+// one band per year; brushing along x selects years
+export function createDailyView({ container, rows, selection, id = 'daily' }) {
+  const width = 980;
+  const height = 260;
+  const margin = { top: 24, right: 52, bottom: 30, left: 52 };
+  const innerW = width - margin.left - margin.right;
+  const innerH = height - margin.top - margin.bottom;
+  const tip = createTip();
+
+  const seasons = d3.group(rows, d => d.year);
+  const years = Array.from(seasons.keys()).sort((a, b) => a - b);
+  const maxDay = d3.max(rows, d => d.season_day) || 1;
+
+  const svg = chartSvg(container, width, height, 'Daily temperature and water level per season; drag to select years');
+  const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+  const x = d3.scaleBand().domain(years).range([0, innerW]).paddingInner(0.12);
+  const day = d3.scaleLinear().domain([1, maxDay]).range([0, x.bandwidth()]);
+  const temp = d3.scaleLinear()
+    .domain(paddedDomain(rows.flatMap(d => [d.temp_min, d.temp_max]).filter(v => v != null)))
+    .nice()
+    .range([innerH, 0]);
+  const water = d3.scaleLinear()
+    .domain(paddedDomain(rows.map(d => d.water_level).filter(v => v != null)))
+    .nice()
+    .range([innerH, 0]);
+
+  g.append('g')
+    .attr('transform', `translate(0,${innerH})`)
+    .call(d3.axisBottom(x).tickFormat(d3.format('d')).tickSizeOuter(0));
+  g.append('g')
+    .call(d3.axisLeft(temp).ticks(6))
+    .call(a => a.append('text')
+      .attr('x', 0)
+      .attr('y', -10)
+      .attr('fill', TEMP_COLOR)
+      .attr('text-anchor', 'start')
+      .text('Temperature (°C)'));
+  g.append('g')
+    .attr('transform', `translate(${innerW},0)`)
+    .call(d3.axisRight(water).ticks(6))
+    .call(a => a.append('text')
+      .attr('x', 0)
+      .attr('y', -10)
+      .attr('fill', WATER_COLOR)
+      .attr('text-anchor', 'end')
+      .text('Water level'));
+
+  const band = d3.area()
+    .defined(d => d.temp_min != null && d.temp_max != null)
+    .x(d => day(d.season_day))
+    .y0(d => temp(d.temp_min))
+    .y1(d => temp(d.temp_max));
+  const tempLine = d3.line()
+    .defined(d => d.temp_mean != null)
+    .x(d => day(d.season_day))
+    .y(d => temp(d.temp_mean));
+  const waterLine = d3.line()
+    .defined(d => d.water_level != null)
+    .x(d => day(d.season_day))
+    .y(d => water(d.water_level));
+
+  const season = g.append('g').selectAll('g.season')
+    .data(years)
+    .join('g')
+    .attr('class', 'season')
+    .attr('transform', yr => `translate(${x(yr)},0)`);
+  season.append('rect')
+    .attr('class', 'season-bg')
+    .attr('width', x.bandwidth())
+    .attr('height', innerH)
+    .attr('fill', '#f4f4f4');
+  season.append('path')
+    .attr('d', yr => band(seasons.get(yr)))
+    .attr('fill', TEMP_COLOR)
+    .attr('fill-opacity', 0.15);
+  season.append('path')
+    .attr('d', yr => tempLine(seasons.get(yr)))
+    .attr('fill', 'none')
+    .attr('stroke', TEMP_COLOR)
+    .attr('stroke-width', 1.5);
+  season.append('path')
+    .attr('d', yr => waterLine(seasons.get(yr)))
+    .attr('fill', 'none')
+    .attr('stroke', WATER_COLOR)
+    .attr('stroke-width', 1.5);
+
+  const brush = d3.brushX()
+    .extent([[0, 0], [innerW, innerH]])
+    .on('end', (event) => {
+      if (!event.sourceEvent) return;
+      selection.select(event.selection ? yearsInBandRange(x, event.selection) : null, id);
+    });
+  const brushG = g.append('g').attr('class', 'brush').call(brush);
+  brushG
+    .on('mousemove.hover', (event) => {
+      const [px] = d3.pointer(event);
+      const year = yearAtBand(x, px);
+      selection.hover(year, id);
+      if (year == null) {
+        tip.hide();
+        return;
+      }
+      // the day under the pointer within that season
+      const n = Math.round(day.invert(px - x(year)));
+      const d = (seasons.get(year) || []).find(r => r.season_day === n);
+      if (!d) {
+        tip.hide();
+        return;
+      }
+      tip.show(event, `<strong>${d.month} ${d.day}, ${d.year}</strong><br>` +
+        `Mean ${d.temp_mean} °C (min ${d.temp_min}, max ${d.temp_max})<br>Water level ${d.water_level ?? 'no data'}`);
+    })
+    .on('mouseleave.hover', () => {
+      selection.hover(null, id);
+      tip.hide();
+    });
+
+  function restyle() {
+    const hovered = selection.hovered();
+    season.attr('opacity', yr => (selection.isSelected(yr) ? 1 : FADED));
+    season.select('rect.season-bg')
+      .attr('stroke', yr => (yr === hovered ? HOVER_STROKE : null))
+      .attr('stroke-width', 2);
+  }
+
+  selection.on(({ kind, source }) => {
+    if (kind === 'select' && source !== id) brushG.call(brush.move, null);
+    restyle();
+  });
+  restyle();
+
+  return {};
+}
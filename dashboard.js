@@ -0,0 +1,91 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { loadAnnualRows, loadDailyRows, annualFeatures, featureLabel } from "./hunting-data.js";
+import { createYearSelection } from "./year-selection.js";
+import { remembered } from "./view-state.js";
+import { createBarView, createScatterView, createDailyView } from "./dashboard-views.js";
+
+// --- small contract ---
+// Inputs: the annual and daily hunting-season CSVs (loaded once through hunting-data.js)
+// Output: the linked dashboard: yearly bars (#bar-view), a feature scatter (#scatter-view) and the
+//         daily conditions of every season (#daily-view), all sharing one year selection; the
+//         feature pickers are remembered in localStorage like the scatter page's
+// Error modes: a data file that fails to load is reported in place of the dashboard
+
+const DEFAULTS = { bar: 'leaf_drop_doy', x: 'mean_temp_hunting_season', y: 'leaf_drop_doy' };
+
+// fill a <select> with the features and restore the remembered one
+function featureSelect(sel, features, storageKey, fallback) {
+  const saved = remembered(storageKey);
+  const value = features.includes(saved) ? saved : (features.includes(fallback) ? fallback : features[0]);
+  sel.selectAll('option')
+    .data(features)
+    .join('option')
+    .attr('value', d => d)
+    .text(featureLabel)
+    .property('selected', d => d === value);
+  return value;
+}
+
+function remember(key, value) {
+  try { localStorage.setItem(key, value); } catch (e) {}
+}
+
+async function drawDashboard() {
+  let annual;
+  let daily;
+  try {
+    [annual, daily] = await Promise.all([loadAnnualRows(), loadDailyRows()]);
+  } catch (err) {
+    console.error('Failed to load the hunting-season data:', err);
+    d3.select('#dashboard').html('').append('p')
+      .style('color', '#b00')
+      .style('text-align', 'center')
+      .text(`Data unavailable: ${err.message}`);
+    return;
+  }
+
+  const features = annualFeatures(annual);
+  const selection = createYearSelection();
+
+  let barFeature = featureSelect(d3.select('#bar-feature'), features, 'dashBarFeat', DEFAULTS.bar);
+  let xFeature = featureSelect(d3.select('#scatter-x'), ['year', ...features], 'dashXFeat', DEFAULTS.x);
+  let yFeature = featureSelect(d3.select('#scatter-y'), ['year', ...features], 'dashYFeat', DEFAULTS.y);
+
+  const bars = createBarView({ container: d3.select('#bar-view'), rows: annual, feature: barFeature, selection });
+  const scatter = createScatterView({
+    container: d3.select('#scatter-view'), rows: annual, xFeature, yFeature, selection
+  });
+  createDailyView({ container: d3.select('#daily-view'), rows: daily, selection });
+
+  d3.select('#bar-feature').on('change', function () {
+    barFeature = this.value;
+    remember('dashBarFeat', barFeature);
+    bars.setFeature(barFeature);
+  });
+  d3.select('#scatter-x').on('change', function () {
+    xFeature = this.value;
+    remember('dashXFeat', xFeature);
+    scatter.setFeatures(xFeature, yFeature);
+  });
+  d3.select('#scatter-y').on('change', function () {
+    yFeature = this.value;
+    remember('dashYFeat', yFeature);
+    scatter.setFeatures(xFeature, yFeature);
+  });
+  d3.select('#clear-selection').on('click', () => selection.select(null));
+
+  // one line saying what is highlighted
+  const summary = d3.select('#selection-summary');
+  const hint = summary.text();
+  selection.on(({ hovered, selected }) => {
+    const parts = [];
+    if (selected) {
+      const years = Array.from(selected).sort((a, b) => a - b);
+      parts.push(years.length ? `Selected: ${years.join(', ')}` : 'No years in the selection');
+    }
+    if (hovered != null) parts.push(`Hovering ${hovered}`);
+    summary.text(parts.length ? parts.join(' · ') : hint);
+  });
+}
+
+drawDashboard();
@@ -0,0 +1,71 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { downloadBlob } from "./chart-export.js";
+
+// --- small contract ---
+// Inputs: the rows a chart currently shows as plain objects (derived fields such as parsed
+//         lon/lat/year or joined indicator values included) and optionally their column order
+// Output: a CSV or JSON download of exactly those rows and columns; addDataDownloadControl()
+//         adds the format picker and "Download data" button next to a chart
+// Error modes: an empty view still downloads (a header-only CSV, an empty JSON array);
+//              null values become empty CSV cells and JSON nulls; a failed download is logged
+//              and reported with alert()
+
+export const DATA_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' }
+];
+
+// every key in first-seen order
+function columnsOf(rows) {
+  const seen = new Set();
+  rows.forEach(row => Object.keys(row).forEach(k => seen.add(k)));
+  return Array.from(seen);
+}
+
+// Download `rows` as `filename`.csv or `filename`.json, keeping only `columns` (all keys by default)
+export function downloadRows(rows, { format = 'csv', filename = 'data', columns = null } = {}) {
+  const cols = columns || columnsOf(rows);
+  const table = rows.map(row => Object.fromEntries(cols.map(c => [c, row[c] ?? null])));
+  if (format === 'json') {
+    downloadBlob(new Blob([JSON.stringify(table, null, 2)], { type: 'application/json' }), `${filename}.json`);
+    return;
+  }
+  downloadBlob(new Blob([d3.csvFormat(table, cols)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+}
+
+// Format picker + "Download data" button appended to `parent`; getData() returns
+// { rows, columns?, filename } for the view as it is at click time. The chosen format is remembered.
+export function addDataDownloadControl(parent, getData) {
+  if (parent.empty()) return;
+  let saved = null;
+  try { saved = localStorage.getItem('dataFormat'); } catch (e) {}
+  const select = parent.append('select')
+    .attr('class', 'data-format')
+    .attr('aria-label', 'Data format')
+    .style('vertical-align', 'middle')
+    .style('margin-left', '8px');
+  select.selectAll('option')
+    .data(DATA_FORMATS)
+    .join('option')
+    .attr('value', d => d.id)
+    .text(d => d.label)
+    .property('selected', d => d.id === saved);
+  parent.append('button')
+    .attr('type', 'button')
+    .attr('class', 'data-download-btn')
+    .attr('title', 'Download the rows shown in this chart')
+    .style('vertical-align', 'middle')
+    .style('margin-left', '4px')
+    .text('Download data')
+    .on('click', () => {
+      const format = select.property('value');
+      try { localStorage.setItem('dataFormat', format); } catch (e) {}
+      try {
+        const { rows, columns, filename } = getData();
+        downloadRows(rows || [], { format, columns, filename });
+      } catch (err) {
+        console.error('Data download failed:', err);
+        alert(`Data download failed: ${err.message}`);
+      }
+    });
+}
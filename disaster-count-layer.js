@@ -0,0 +1,152 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { featureIso3, featureName } from "./world-map.js";
+import { resolveRow } from "./country-codes.js";
+import { createClassifier, drawLegend, NO_DATA_COLOR } from "./classify.js";
+
+// --- small contract ---
+// Inputs: rows of the GDIS disaster locations CSV (iso3/country, year, disastertype) and the
+//         disaster type registry they were classified with (see disaster-types.js)
+// Output: a world-map layer that colors each country by its number of events in the selected
+//         year or year range, for all types or one type, with quantile classes and a legend in
+//         #count-legend (the same classifier and legend as the indicator choropleth);
+//         the country tooltip lists the count of every type
+// Error modes: rows that do not resolve to a country are left out of the counts; countries
+//              without events in the range stay gray
+
+const CLASSES = 5;
+
+export function createDisasterCountLayer({ rows, types }) {
+  // iso3 -> year -> type key -> count, built once
+  const index = new Map();
+  // the disaster CSV repeats the same country on thousands of rows, so resolve each spelling once
+  const resolved = new Map();
+  (rows || []).forEach(row => {
+    const spelling = `${row.iso3 ?? ''}|${row.country ?? ''}`;
+    if (!resolved.has(spelling)) {
+      const c = resolveRow(row);
+      resolved.set(spelling, c ? c.iso3 : null);
+    }
+    const iso = resolved.get(spelling);
+    const year = parseInt(row.year ?? row.Year ?? row.YEAR ?? '', 10);
+    if (!iso || !isFinite(year)) return;
+    const key = types.typeOf(row).key;
+    if (!index.has(iso)) index.set(iso, new Map());
+    const byYear = index.get(iso);
+    if (!byYear.has(year)) byYear.set(year, new Map());
+    const byType = byYear.get(year);
+    byType.set(key, (byType.get(key) || 0) + 1);
+  });
+
+  let enabled = false;
+  // `range` is the number of years ending at the selected year (1 = that year only);
+  // `typeKey` is null for all types
+  let range = 1;
+  let typeKey = null;
+  let span = [null, null];
+  let counts = new Map(); // iso3 -> Map(type key -> count) for the current window
+  let classifier = createClassifier([], { scheme: 'quantile', palette: 'YlOrRd', classes: CLASSES });
+
+  function yearWindow(year) {
+    return [year - range + 1, year];
+  }
+
+  function windowLabel() {
+    const [y0, y1] = span;
+    return y0 === y1 ? `${y1}` : `${y0}–${y1}`;
+  }
+
+  function total(byType) {
+    if (!byType) return 0;
+    if (typeKey) return byType.get(typeKey) || 0;
+    return d3.sum(byType.values());
+  }
+
+  function countsFor([y0, y1]) {
+    const out = new Map();
+    index.forEach((byYear, iso) => {
+      const byType = new Map();
+      byYear.forEach((n, year) => {
+        if (year < y0 || year > y1) return;
+        n.forEach((c, key) => byType.set(key, (byType.get(key) || 0) + c));
+      });
+      if (byType.size) out.set(iso, byType);
+    });
+    return out;
+  }
+
+  function render(map, year) {
+    const legend = d3.select('#count-legend');
+    if (!enabled) {
+      legend.style('display', 'none');
+      return;
+    }
+    span = yearWindow(year);
+    counts = countsFor(span);
+    const values = Array.from(counts.values(), total).filter(n => n > 0);
+    classifier = createClassifier(values, { scheme: 'quantile', palette: 'YlOrRd', classes: CLASSES });
+
+    map.countryPaths.attr('fill', d => {
+      const n = total(counts.get(featureIso3(d)));
+      return n > 0 ? classifier.color(n) : NO_DATA_COLOR;
+    });
+
+    const what = typeKey ? types.byKey(typeKey).label : 'Events';
+    legend.style('display', 'flex');
+    drawLegend(legend, classifier, d3.format(',d'), {
+      emptyText: `No ${what.toLowerCase()} recorded in ${windowLabel()}`,
+      caption: values.length ? `${what} per country, ${windowLabel()} — quantile classes; gray = none recorded` : null
+    });
+  }
+
+  function countryTooltip(map, d) {
+    if (!enabled) return null;
+    const byType = counts.get(featureIso3(d));
+    const lines = [`<strong>${featureName(d) || 'Unknown'}</strong>`];
+    const n = total(byType);
+    lines.push(`${typeKey ? types.byKey(typeKey).label : 'Events'} ${windowLabel()}: ${d3.format(',')(n)}`);
+    if (byType) {
+      // every type, most frequent first, even when the map shows only one
+      Array.from(byType)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([key, c]) => lines.push(`${types.byKey(key).label}: ${d3.format(',')(c)}`));
+    }
+    // 5 quantile classes are quintiles
+    if (n > 0) lines.push(`Quintile: ${classifier.describe(n)}`);
+    return lines.join('<br>');
+  }
+
+  // turn the coloring on or off; off restores the flat country fill
+  function setEnabled(map, on) {
+    enabled = !!on;
+    if (!enabled) {
+      map.countryPaths.attr('fill', '#eee');
+      counts = new Map();
+    }
+  }
+
+  // change the year range and type; the caller re-renders afterwards
+  function setOptions(opts) {
+    if (opts.range !== undefined) range = opts.range;
+    if (opts.type !== undefined) typeKey = opts.type || null;
+  }
+
+  // one row per country with events in the current window: the count shown on the map and
+  // the count of every type (columns named by type label)
+  function displayedRows(map) {
+    const names = new Map(map.features.map(f => [featureIso3(f), featureName(f)]));
+    const [from, to] = span;
+    const shown = typeKey ? types.byKey(typeKey).label : 'events';
+    return Array.from(counts)
+      .filter(([, byType]) => total(byType) > 0)
+      .sort((a, b) => d3.ascending(a[0], b[0]))
+      .map(([iso, byType]) => {
+        const row = { iso3: iso, country: names.get(iso) ?? null, from, to, [shown]: total(byType) };
+        types.types.forEach(t => {
+          if (t.count > 0) row[t.label] = byType.get(t.key) || 0;
+        });
+        return row;
+      });
+  }
+
+  return { render, countryTooltip, setEnabled, setOptions, displayedRows };
+}
@@ -0,0 +1,395 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { buildJoinReport, showJoinReport } from "./join-report.js";
+import { createDisasterTypes, disasterTypeValue } from "./disaster-types.js";
+import { hexbin } from "./clusters.js";
+import { createCanvasPoints } from "./canvas-points.js";
+
+// --- small contract ---
+// Inputs: rows of the GDIS disaster locations CSV (longitude, latitude, year, disastertype, ...), may be null,
+//         and an optional onChange() called when the user toggles a swatch or clustering
+// Output: a world-map layer that plots the selected year's (or window's) events as dots (grouped into zoom-aware
+//         hexagonal clusters unless #cluster-points is unchecked) and builds the toggleable
+//         disaster-type swatches in #legend-row (types and colors from disaster-types.js).
+//         Above `canvasThreshold` visible events the marks are drawn on a canvas instead of as
+//         SVG circles (see canvas-points.js); tooltips work the same either way.
+// Error modes: rows without usable coordinates are skipped
+
+// derive available years from the row values (the disaster CSV has one row per event)
+export function disasterYears(rows) {
+  if (!rows || !rows.length) return [];
+  const yrs = Array.from(new Set(rows.map(d => {
+    const y = d.year ?? d.Year ?? d.YEAR ?? null;
+    const n = parseInt(y, 10);
+    return isFinite(n) ? n : null;
+  }).filter(Boolean)));
+  yrs.sort((a, b) => a - b);
+  return yrs.filter(y => y && y <= 2020);
+}
+
+// legend layout: rows of three swatches
+const SWATCHES_PER_ROW = 3;
+
+// on-screen radius (px) of the hexagons nearby events are grouped into
+const CLUSTER_RADIUS_PX = 14;
+
+export function createDisasterLayer({ rows, canvasThreshold = 2000, onChange = null }) {
+  const registry = createDisasterTypes(rows);
+
+  // --- swatch state persistence ---
+  // Keep user toggles across year changes and across page reloads (localStorage).
+  // The toggles on screen can come from a shared link instead (setHiddenTypes), so a click is
+  // merged into the stored toggles rather than saving the ones on screen.
+  function storedSwatchState() {
+    try {
+      const s = localStorage.getItem('swatchState');
+      return s ? JSON.parse(s) : {};
+    } catch (e) {
+      return {};
+    }
+  }
+  let swatchState = storedSwatchState();
+  function setSwatchState(key, val) {
+    swatchState[key] = val ? 1 : 0;
+    const stored = storedSwatchState();
+    stored[key] = swatchState[key];
+    try { localStorage.setItem('swatchState', JSON.stringify(stored)); } catch (e) {}
+  }
+
+  // normalize coordinates and parse numeric year once
+  const allPoints = (rows || []).map((d, i) => {
+    const lon = parseFloat(d.longitude ?? d.Longitude ?? d.lon ?? d.Long ?? d.LONG);
+    const lat = parseFloat(d.latitude ?? d.Latitude ?? d.lat ?? d.Lat ?? d.LAT);
+    const yr = parseInt(d.year ?? d.Year ?? d.YEAR ?? '', 10);
+    if (!isFinite(lon) || !isFinite(lat)) return null;
+    return { ...d, lon, lat, year: isFinite(yr) ? yr : null, __idx: i, __type: registry.typeOf(d) };
+  }).filter(Boolean);
+
+  let pointsLayer = null;
+  let shown = true;
+
+  // events passing the year and type filters, and the year they were chosen for (fading)
+  let visible = [];
+  let visibleYear = null;
+  // number of years shown, ending at the selected year (set from the timeline brush)
+  let span = 1;
+  // projected positions, cleared when the projection changes
+  let positions = new Map();
+  // group nearby events into clusters (#cluster-points), and the zoom scale they were built for
+  let clustering = true;
+  try { clustering = localStorage.getItem('clusterPoints') !== '0'; } catch (e) {}
+  let clusterK = null;
+  // canvas renderer, created the first time the threshold is crossed
+  let canvas = null;
+  let canvasActive = false;
+
+  function buildLegend(map) {
+    const htmlLegend = d3.select('#legend-row');
+    if (htmlLegend.empty()) return;
+    htmlLegend.html('');
+    const col = htmlLegend.append('div')
+      .attr('class', 'legend-column')
+      .style('display', 'flex')
+      .style('flex-direction', 'column')
+      .style('align-items', 'center')
+      .style('gap', '6px');
+
+    // one swatch per type present in the data, most frequent first
+    const shown = registry.types.filter(t => t.count > 0);
+    const swatchRows = d3.range(0, shown.length, SWATCHES_PER_ROW).map(i => shown.slice(i, i + SWATCHES_PER_ROW));
+    swatchRows.forEach(defs => {
+      const row = col.append('div')
+        .style('display', 'flex')
+        .style('flex-direction', 'row')
+        .style('gap', '6px');
+
+      defs.forEach(def => {
+        // pair: swatch + label
+        const pair = row.append('div')
+          .style('display', 'flex')
+          .style('align-items', 'center')
+          .style('gap', '8px');
+        // initialize from the persisted state; a toggled swatch shows gray
+        const off = (swatchState[def.key] === 1);
+        pair.append('div')
+          .attr('class', `swatch type-${def.key.replace(/[^a-z0-9]+/g, '-')}`)
+          .style('width', '28px')
+          .style('height', '16px')
+          .style('border', '1px solid #ccc')
+          .style('background', off ? '#888' : def.color)
+          .attr('title', def.label)
+          .attr('data-key', def.key)
+          .attr('data-orig', def.color)
+          .attr('data-toggled', off ? '1' : '0')
+          .style('cursor', 'pointer')
+          .on('click', function () {
+            const el = d3.select(this);
+            const toggled = el.attr('data-toggled') === '1';
+            if (toggled) {
+              el.style('background', def.color).attr('data-toggled', '0');
+              setSwatchState(def.key, 0);
+            } else {
+              el.style('background', '#888').attr('data-toggled', '1');
+              setSwatchState(def.key, 1);
+            }
+            plotPoints(map, map.currentYear);
+            if (onChange) onChange();
+          });
+        pair.append('div')
+          .attr('class', 'swatch-label')
+          .style('font-size', '12px')
+          .style('color', '#333')
+          .text(def.label)
+          .attr('title', `${d3.format(',')(def.count)} events`);
+      });
+    });
+  }
+
+  // --- plot event points filtered by year ---
+  function plotPoints(map, selected) {
+    if (!allPoints.length) return;
+    const filterYear = +selected;
+
+    // the window of `span` years ending at the selected year (just that year by default)
+    let points = allPoints.filter(p => {
+      if (p.year == null) return false;
+      const age = filterYear - p.year;
+      return age >= 0 && age < span;
+    });
+
+    // Apply swatch toggles: exclude points of any disaster type whose swatch is toggled off.
+    points = points.filter(p => swatchState[p.__type.key] !== 1);
+    if (!shown) points = [];
+
+    visible = points;
+    visibleYear = filterYear;
+    drawPoints(map);
+  }
+
+  // fill opacity of an event: the oldest year of a multi-year window fades to 35%
+  function opacity(d) {
+    if (span <= 1) return 1;
+    const age = visibleYear - d.year;
+    return Math.max(0.35, 1 - 0.65 * age / (span - 1));
+  }
+
+  // projected position of an event, cached until the projection changes; null when the
+  // projection cannot show it (e.g. the far side of the globe)
+  function position(map, d) {
+    if (!positions.has(d)) positions.set(d, map.projectPoint(d.lon, d.lat));
+    return positions.get(d);
+  }
+
+  function eventTip(d) {
+    const yr = d.year ?? 'N/A';
+    const geo = d.geolocation ?? d.Geolocation ?? d.location ?? 'Unknown location';
+    const dtype = disasterTypeValue(d) || d.__type.label;
+    return `<strong>${dtype}</strong><br>Year: ${yr}<br>Location: ${geo}<br>Coords: ${d.lat.toFixed(3)}, ${d.lon.toFixed(3)}`;
+  }
+
+  function clusterTip(d) {
+    const lines = d.byType.map(([t, n]) => `${t.label}: ${d3.format(',')(n)}`);
+    return `<strong>${d3.format(',')(d.items.length)} events</strong><br>${lines.join('<br>')}<br><em>Zoom in to see individual events</em>`;
+  }
+
+  // clusters keep the same on-screen size at every zoom level
+  const clusterRadius = (d, k) => Math.min(24, 5 + 2 * Math.sqrt(d.items.length)) / k;
+  const clusterLabel = d => (d.items.length > 999 ? d3.format('.2~s')(d.items.length) : d.items.length);
+
+  // Draw the visible events: at low zoom nearby events are grouped into hexagonal clusters of a
+  // fixed on-screen size (count + dominant type color); at the maximum zoom, or with grouping
+  // turned off, every event is its own dot.
+  function drawPoints(map) {
+    const k = d3.zoomTransform(map.svg.node()).k;
+    clusterK = k;
+    let singles = visible;
+    let clusters = [];
+    if (clustering && k < map.zoom.scaleExtent()[1]) {
+      const bins = hexbin(visible, d => position(map, d)?.[0], d => position(map, d)?.[1], CLUSTER_RADIUS_PX / k);
+      singles = bins.filter(b => b.items.length === 1).map(b => b.items[0]);
+      clusters = bins.filter(b => b.items.length > 1).map(b => {
+        const byType = d3.rollups(b.items, v => v.length, d => d.__type).sort((x, y) => y[1] - x[1]);
+        return { ...b, byType, color: byType[0][0].color, opacity: d3.max(b.items, opacity) };
+      });
+    }
+
+    if (visible.length > canvasThreshold) {
+      if (!canvas) canvas = createCanvasPoints(map);
+      canvasActive = canvas.supported;
+    } else {
+      canvasActive = false;
+    }
+    if (canvasActive) {
+      drawSvgMarks(map, [], [], k);
+      const marks = [];
+      singles.forEach(d => {
+        const p = position(map, d);
+        if (p) marks.push({ x: p[0], y: p[1], r: 3, color: d.__type.color, opacity: opacity(d), tip: () => eventTip(d) });
+      });
+      clusters.forEach(d => marks.push({
+        x: d.x, y: d.y, r: clusterRadius(d, k), color: d.color, opacity: 0.85 * d.opacity,
+        stroke: true, label: clusterLabel(d), tip: () => clusterTip(d)
+      }));
+      canvas.draw(marks, map.clampTransform(d3.zoomTransform(map.svg.node())));
+    } else {
+      if (canvas) canvas.clear();
+      drawSvgMarks(map, singles, clusters, k);
+    }
+  }
+
+  // SVG rendering of the marks, one circle per event or cluster
+  function drawSvgMarks(map, singles, clusters, k) {
+
+    // bind and draw circles keyed by stable id or internal index
+    pointsLayer.selectAll('circle.event-dot')
+      .data(singles, (d) => d.id ?? d.iso3 ?? d.__idx)
+      .join(
+        enter => enter.append('circle')
+          .attr('class', 'event-dot')
+          .attr('r', 3)
+          .attr('stroke', '#fff')
+          .attr('stroke-width', 0)
+          .attr('pointer-events', 'auto')
+          .on('mouseover', function (event, d) {
+            map.showTip(eventTip(d));
+          })
+          .on('mousemove', function (event) {
+            map.moveTip(event);
+          })
+          .on('mouseout', function () {
+            map.hideTip();
+          }),
+        update => update,
+        exit => exit.remove()
+      )
+      .each(function (d) {
+        const p = position(map, d);
+        d3.select(this)
+          .attr('cx', p ? p[0] : -9999)
+          .attr('cy', p ? p[1] : -9999)
+          .attr('display', p ? null : 'none');
+      })
+      .attr('fill', d => d.__type.color)
+      .attr('fill-opacity', opacity);
+
+    pointsLayer.selectAll('g.event-cluster')
+      .data(clusters, d => d.id)
+      .join(
+        enter => {
+          const c = enter.append('g')
+            .attr('class', 'event-cluster')
+            .attr('pointer-events', 'auto')
+            .on('mouseover', function (event, d) {
+              map.showTip(clusterTip(d));
+            })
+            .on('mousemove', function (event) {
+              map.moveTip(event);
+            })
+            .on('mouseout', function () {
+              map.hideTip();
+            });
+          c.append('circle').attr('stroke', '#fff');
+          c.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'central')
+            .attr('fill', '#fff')
+            .attr('pointer-events', 'none');
+          return c;
+        },
+        update => update,
+        exit => exit.remove()
+      )
+      .attr('transform', d => `translate(${d.x},${d.y})`)
+      .call(c => c.select('circle')
+        .attr('r', d => clusterRadius(d, k))
+        .attr('stroke-width', 1 / k)
+        .attr('fill', d => d.color)
+        .attr('fill-opacity', d => 0.85 * d.opacity))
+      .call(c => c.select('text')
+        .attr('font-size', `${10 / k}px`)
+        .text(clusterLabel));
+  }
+
+  function attach(map) {
+    pointsLayer = map.g.append('g').attr('class', 'points-layer');
+    buildLegend(map);
+    const clusterToggle = d3.select('#cluster-points');
+    if (!clusterToggle.empty()) {
+      clusterToggle.property('checked', clustering);
+      clusterToggle.on('change', function () {
+        clustering = this.checked;
+        try { localStorage.setItem('clusterPoints', clustering ? '1' : '0'); } catch (e) {}
+        drawPoints(map);
+        if (onChange) onChange();
+      });
+    }
+    if (rows && rows.length) showJoinReport(buildJoinReport({ dataset: 'GDIS disasters', features: map.features, rows }));
+  }
+
+  function render(map, year) {
+    plotPoints(map, year);
+  }
+
+  // clusters are sized in screen pixels, so they are rebuilt whenever the zoom scale changes;
+  // the canvas follows pans itself (the SVG marks move with the map group)
+  function zoomed(map, transform) {
+    if (!pointsLayer) return;
+    if (transform.k !== clusterK) drawPoints(map);
+    else if (canvasActive) canvas.setTransform(transform);
+  }
+
+  // show the `n` years up to the selected year instead of just that year; the caller re-renders
+  function setSpan(n) {
+    span = Math.max(1, Math.round(n));
+  }
+
+  // show or hide the event marks (e.g. while the map colors countries by count); the caller re-renders
+  function setVisible(on) {
+    shown = !!on;
+  }
+
+  function reprojected(map) {
+    positions = new Map();
+    if (pointsLayer) drawPoints(map);
+  }
+
+  // keys of the types whose swatch is toggled off
+  function hiddenTypes() {
+    return Object.keys(swatchState).filter(key => swatchState[key] === 1);
+  }
+
+  // toggle swatches off for exactly these keys (e.g. from a shared link) without touching the
+  // toggles remembered in localStorage; unknown keys are ignored
+  function setHiddenTypes(map, keys) {
+    swatchState = {};
+    keys.forEach(key => {
+      if (registry.types.some(t => t.key === key)) swatchState[key] = 1;
+    });
+    buildLegend(map);
+    plotPoints(map, map.currentYear);
+  }
+
+  function setClustering(map, on) {
+    clustering = !!on;
+    d3.select('#cluster-points').property('checked', clustering);
+    drawPoints(map);
+  }
+
+  // the events on the map (year window and type toggles applied) with their parsed
+  // lon/lat/year and normalized type, without the layer's internal fields
+  function displayedRows() {
+    return visible.map(p => {
+      const row = {};
+      Object.keys(p).forEach(k => {
+        if (!k.startsWith('__')) row[k] = p[k];
+      });
+      row.type = p.__type.label;
+      return row;
+    });
+  }
+
+  return {
+    attach, render, zoomed, reprojected, setVisible, setSpan,
+    hiddenTypes, setHiddenTypes, clustering: () => clustering, setClustering, displayedRows,
+    types: registry
+  };
+}
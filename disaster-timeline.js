@@ -0,0 +1,161 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: rows of the GDIS disaster locations CSV, the disaster type registry (see disaster-types.js),
+//         a container under the map and an onWindow([from, to]) callback
+// Output: a histogram of events per year stacked by type, with a brush that snaps to whole years.
+//         Brushing picks a window of years (e.g. 1990–2005); the page then moves the map to the
+//         window's last year and shows every event in the window. The window keeps its width and
+//         ends at the selected year, so the slider and Play slide it forward. It is also a
+//         world-map layer: render(map, year) moves the brush and updates the window totals.
+// Error modes: without rows the timeline shows an empty axis
+
+const width = 960;
+const height = 130;
+const margin = { top: 8, right: 10, bottom: 22, left: 44 };
+
+export function createDisasterTimeline({ container, rows, types, onWindow }) {
+  // year -> type key -> count
+  const table = new Map();
+  (rows || []).forEach(row => {
+    const year = parseInt(row.year ?? row.Year ?? row.YEAR ?? '', 10);
+    if (!isFinite(year)) return;
+    const key = types.typeOf(row).key;
+    if (!table.has(year)) table.set(year, new Map());
+    table.get(year).set(key, (table.get(year).get(key) || 0) + 1);
+  });
+  const [firstYear, lastYear] = d3.extent(table.keys());
+  const years = firstYear == null ? [] : d3.range(firstYear, lastYear + 1);
+  const shownTypes = types.types.filter(t => t.count > 0);
+
+  // number of years in the window, ending at the selected year (1 = just that year)
+  let span = 1;
+  let currentYear = null;
+
+  const svg = container.append('svg')
+    .attr('class', 'timeline')
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('role', 'img')
+    .attr('aria-label', 'Events per year by disaster type; drag to choose a range of years')
+    .style('width', '100%')
+    .style('height', 'auto');
+  const summary = container.append('div')
+    .attr('id', 'timeline-summary')
+    .style('font-size', '12px')
+    .style('color', '#333')
+    .style('text-align', 'center')
+    .style('margin-top', '4px');
+
+  const innerW = width - margin.left - margin.right;
+  const innerH = height - margin.top - margin.bottom;
+  const x = d3.scaleBand().domain(years).range([0, innerW]).paddingInner(0.15);
+  const stacked = d3.stack()
+    .keys(shownTypes.map(t => t.key))
+    .value(([, byType], key) => byType.get(key) || 0)(years.map(y => [y, table.get(y) || new Map()]));
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(years, yr => d3.sum((table.get(yr) || new Map()).values())) || 1])
+    .nice()
+    .range([innerH, 0]);
+
+  const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+  g.append('g')
+    .attr('transform', `translate(0,${innerH})`)
+    .call(d3.axisBottom(x).tickValues(years.filter(yr => yr % 5 === 0)).tickSizeOuter(0))
+    .style('font-size', '10px');
+  g.append('g')
+    .call(d3.axisLeft(y).ticks(3).tickFormat(d3.format('~s')))
+    .style('font-size', '10px');
+
+  const bars = g.append('g').attr('class', 'bars');
+  bars.selectAll('g.series')
+    .data(stacked)
+    .join('g')
+    .attr('class', 'series')
+    .attr('fill', s => types.byKey(s.key).color)
+    .selectAll('rect')
+    .data(s => s)
+    .join('rect')
+    .attr('x', d => x(d.data[0]))
+    .attr('width', x.bandwidth())
+    .attr('y', d => y(d[1]))
+    .attr('height', d => y(d[0]) - y(d[1]));
+
+  // marks the selected year when no wider window is brushed
+  const marker = g.append('rect')
+    .attr('class', 'year-marker')
+    .attr('y', 0)
+    .attr('height', innerH)
+    .attr('fill', 'none')
+    .attr('stroke', '#333')
+    .attr('stroke-width', 1)
+    .attr('pointer-events', 'none');
+
+  const brush = d3.brushX()
+    .extent([[0, 0], [innerW, innerH]])
+    .on('end', (event) => {
+      // programmatic moves (from render) have no source event
+      if (!event.sourceEvent) return;
+      if (!event.selection) {
+        onWindow([currentYear, currentYear]);
+        return;
+      }
+      // snap to the years whose bars are (mostly) inside the selection
+      const [x0, x1] = event.selection;
+      const inside = years.filter(yr => {
+        const c = x(yr) + x.bandwidth() / 2;
+        return c >= x0 && c <= x1;
+      });
+      if (!inside.length) {
+        onWindow([currentYear, currentYear]);
+        return;
+      }
+      onWindow([inside[0], inside[inside.length - 1]]);
+    });
+  const brushG = g.append('g').attr('class', 'brush').call(brush);
+
+  function windowOf(year) {
+    return [year - span + 1, year];
+  }
+
+  function updateSummary([y0, y1]) {
+    const totals = new Map();
+    for (let yr = y0; yr <= y1; yr++) {
+      (table.get(yr) || new Map()).forEach((n, key) => totals.set(key, (totals.get(key) || 0) + n));
+    }
+    const all = d3.sum(totals.values());
+    summary.html('');
+    summary.append('strong').text(`${y0 === y1 ? y1 : `${y0}–${y1}`}: ${d3.format(',')(all)} events`);
+    Array.from(totals)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([key, n]) => {
+        const t = types.byKey(key);
+        const item = summary.append('span').style('margin-left', '10px').style('white-space', 'nowrap');
+        item.append('span').style('color', t.color).text('■ ');
+        item.append('span').text(`${t.label} ${d3.format(',')(n)}`);
+      });
+  }
+
+  function render(map, year) {
+    currentYear = year;
+    const [y0, y1] = windowOf(year);
+    bars.selectAll('rect').attr('fill-opacity', d => (d.data[0] >= y0 && d.data[0] <= y1 ? 1 : 0.35));
+    const inRange = yr => x(yr) != null;
+    if (span > 1 && inRange(Math.max(y0, firstYear)) && inRange(Math.min(y1, lastYear))) {
+      brushG.call(brush.move, [x(Math.max(y0, firstYear)), x(Math.min(y1, lastYear)) + x.bandwidth()]);
+      marker.attr('display', 'none');
+    } else {
+      brushG.call(brush.move, null);
+      marker.attr('display', inRange(year) ? null : 'none')
+        .attr('x', inRange(year) ? x(year) : 0)
+        .attr('width', x.bandwidth());
+    }
+    updateSummary([y0, y1]);
+  }
+
+  // set the window width in years; the caller re-renders afterwards
+  function setSpan(n) {
+    span = Math.max(1, Math.round(n));
+  }
+
+  return { render, setSpan, span: () => span };
+}
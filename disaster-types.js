@@ -0,0 +1,78 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: rows of the GDIS disaster locations CSV (disastertype column), may be null
+// Output: a registry of the disaster types found in the data: { key, label, color, count } per
+//         distinct `disastertype`, most frequent first, with "Other / Unknown" last. The legend,
+//         the type filter and the dot colors all come from it, so new or renamed types need no
+//         code changes.
+// Error modes: rows with an empty or unrecognised type are counted as "Other / Unknown"
+
+export const OTHER_TYPE_KEY = 'other';
+const OTHER_COLOR = '#d62728';
+
+// Preferred colors for the types GDIS has used so far (first matching rule wins, and each
+// color goes to one type only). Types matching none get the next unused palette color.
+const TYPE_STYLES = [
+  { pattern: /storm/, color: '#6a0dad' },
+  { pattern: /drought/, color: '#d99058' },
+  { pattern: /flood/, color: '#1f78b4' },
+  { pattern: /landslide/, color: '#8b5a2b' },
+  { pattern: /quake/, color: '#8b4513' },
+  { pattern: /temperature|heat|cold/, color: '#ffd700' },
+  { pattern: /volcan/, color: '#ff8c00' },
+  { pattern: /mass\W*movement/, color: '#6ec6ff' }
+];
+const FALLBACK_COLORS = [...d3.schemeTableau10, ...d3.schemeSet2].filter(c => c !== OTHER_COLOR);
+
+// raw type string of a row, whichever spelling of the column the file uses
+export function disasterTypeValue(row) {
+  return (row.disastertype ?? row.disaster_type ?? row.disasterType ?? '').toString();
+}
+
+// registry key of a type: lowercase, trimmed, inner whitespace collapsed
+export function normalizeDisasterType(s) {
+  return (s ?? '').toString().toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function typeLabel(raw) {
+  const s = raw.trim().replace(/\s+/g, ' ');
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+export function createDisasterTypes(rows) {
+  const counts = d3.rollup(rows || [], v => v.length, d => normalizeDisasterType(disasterTypeValue(d)));
+  // a readable label per key, from the first row spelling it
+  const labels = new Map();
+  (rows || []).forEach(d => {
+    const key = normalizeDisasterType(disasterTypeValue(d));
+    if (!labels.has(key)) labels.set(key, typeLabel(disasterTypeValue(d)));
+  });
+
+  const other = { key: OTHER_TYPE_KEY, label: 'Other / Unknown', color: OTHER_COLOR, count: 0 };
+  const used = new Set();
+  const types = [];
+  Array.from(counts)
+    .sort((a, b) => b[1] - a[1] || d3.ascending(a[0], b[0]))
+    .forEach(([key, count]) => {
+      if (!key || key === OTHER_TYPE_KEY || key === 'unknown') {
+        other.count += count;
+        return;
+      }
+      const style = TYPE_STYLES.find(s => s.pattern.test(key) && !used.has(s.color));
+      const color = style ? style.color
+        : (FALLBACK_COLORS.find(c => !used.has(c)) ?? FALLBACK_COLORS[types.length % FALLBACK_COLORS.length]);
+      used.add(color);
+      types.push({ key, label: labels.get(key), color, count });
+    });
+  types.push(other);
+
+  const byKey = new Map(types.map(t => [t.key, t]));
+
+  // registry entry of a row; anything not in the registry is "Other / Unknown"
+  function typeOf(row) {
+    return byKey.get(normalizeDisasterType(disasterTypeValue(row))) || other;
+  }
+
+  return { types, other, typeOf, byKey: key => byKey.get(key) || other };
+}
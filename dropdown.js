@@ -0,0 +1,40 @@
+import { remembered } from "./view-state.js";
+
+// --- small contract ---
+// Inputs: a container (d3 selection) and { label, options, value, shared, storageKey, className,
+//         onChange }; options are feature names (shown with spaces for underscores) or
+//         { key, label, disabled }; `shared` is the value a shared link asks for
+// Output: a "<label>: <select>" pair appended to the container, the pickers every chart page
+//         uses. Returns the value it starts on: `shared` if it is an option, else the one
+//         remembered under storageKey, else `value`, else the first enabled option. A change calls
+//         onChange(value) and, with a storageKey, is remembered in localStorage.
+// Error modes: storage errors (reading or writing) are ignored; a remembered or given value that
+//              is no longer an option falls through to the next choice
+
+export function createDropdown(container, { label, options, value, shared, storageKey, className, onChange }) {
+  const items = options.map(o => (typeof o === 'string' ? { key: o, label: o.replace(/_/g, ' ') } : o));
+  const usable = v => v != null && items.some(o => o.key === v && !o.disabled);
+  const saved = storageKey ? remembered(storageKey) : null;
+  const fallback = items.find(o => !o.disabled);
+  const initial = [shared, saved, value].find(usable) ?? (fallback && fallback.key);
+
+  container.append('label')
+    .text(`${label}: `)
+    .style('margin-right', '10px');
+  container.append('select')
+    .attr('class', className)
+    .on('change', function () {
+      if (storageKey) {
+        try { localStorage.setItem(storageKey, this.value); } catch (e) {}
+      }
+      onChange(this.value);
+    })
+    .selectAll('option')
+    .data(items)
+    .join('option')
+    .attr('value', d => d.key)
+    .property('disabled', d => !!d.disabled)
+    .property('selected', d => d.key === initial)
+    .text(d => d.label);
+  return initial;
+}
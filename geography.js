@@ -0,0 +1,96 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: a local world boundary file (GeoJSON FeatureCollection), and optionally a remote URL
+//         used only when the local file cannot be loaded
+// Output: a GeoJSON FeatureCollection of countries, tagged with where it came from
+// Error modes: throws when no configured source could be loaded; every attempt is
+//              reported through the optional status element (failures also in the console)
+// The boundaries are bundled as GeoJSON so no TopoJSON decoder has to be fetched; d3 itself still
+// comes from the jsdelivr CDN like in the rest of the project.
+
+// Bundled copy of Natural Earth 1:110m countries (world-atlas@2, ISC licensed), converted from
+// its TopoJSON with coordinates rounded to 0.001°.
+// Feature ids are ISO 3166-1 numeric codes, e.g. "004" for Afghanistan.
+export const WORLD_GEO_SOURCES = {
+  local: './data/world/countries-110m.geojson',
+  // Set to a URL (e.g. the D3 graph gallery world.geojson) to allow a network fallback.
+  remote: null
+};
+
+// Check that what was fetched is a plain FeatureCollection.
+function toFeatureCollection(data) {
+  if (!data) throw new Error('empty response');
+  if (data.type === 'Topology') throw new Error('TopoJSON is not decoded here; convert it to GeoJSON');
+  if (data.type === 'FeatureCollection' && Array.isArray(data.features)) return data;
+  throw new Error(`unsupported geography format (type: ${data.type})`);
+}
+
+// Numeric ids (world-atlas) are copied to properties.iso_n3 so lookups can join on the
+// CSV's numeric `code` column; 3-letter ids are left for the ISO3 lookup.
+function tagFeatures(fc) {
+  fc.features.forEach(f => {
+    f.properties = f.properties || {};
+    if (f.id != null && /^\d{1,3}$/.test(f.id.toString().trim())) {
+      f.properties.iso_n3 = f.id.toString().trim().padStart(3, '0');
+    }
+  });
+  return fc;
+}
+
+// A one-line status element placed just above the map. Returns setters for each state.
+export function createLoadStatus(container) {
+  const node = container.node();
+  const parent = node && node.parentNode ? d3.select(node.parentNode) : d3.select('body');
+  let el = d3.select('#map-status');
+  if (el.empty()) {
+    el = parent.insert('div', node ? () => node : null)
+      .attr('id', 'map-status')
+      .attr('role', 'status')
+      .style('max-width', '1200px')
+      .style('margin', '6px auto 0')
+      .style('text-align', 'center')
+      .style('font-size', '12px');
+  }
+  function set(state, message) {
+    el.attr('data-state', state)
+      .style('color', state === 'error' ? '#b00020' : (state === 'warning' ? '#8a5a00' : '#666'))
+      .text(message);
+  }
+  return {
+    loading: (message) => set('loading', message),
+    ready: (message) => set('ready', message),
+    warning: (message) => set('warning', message),
+    failed: (message) => set('error', message)
+  };
+}
+
+// Load the world geography: local file first, remote URL only if configured.
+export async function loadWorldGeography({ local = WORLD_GEO_SOURCES.local, remote = WORLD_GEO_SOURCES.remote, status = null } = {}) {
+  const attempts = [];
+  const sources = [{ kind: 'local', url: local }];
+  if (remote) sources.push({ kind: 'remote', url: remote });
+
+  for (const src of sources) {
+    if (!src.url) continue;
+    if (status) status.loading(`Loading ${src.kind} map data (${src.url})…`);
+    try {
+      const fc = tagFeatures(toFeatureCollection(await d3.json(src.url)));
+      const fallbackNote = attempts.length ? ` — ${attempts.map(a => `${a.kind} failed: ${a.reason}`).join('; ')}` : '';
+      const message = `Map data: ${src.kind} file ${src.url} (${fc.features.length} countries)${fallbackNote}`;
+      if (status) {
+        if (attempts.length) status.warning(message); else status.ready(message);
+      }
+      return Object.assign(fc, { source: src.kind, url: src.url });
+    } catch (err) {
+      console.warn(`Could not load ${src.kind} map data from ${src.url}:`, err);
+      attempts.push({ kind: src.kind, url: src.url, reason: err.message || String(err) });
+    }
+  }
+
+  const detail = attempts.map(a => `${a.kind} ${a.url}: ${a.reason}`).join('; ');
+  const hint = remote ? '' : ' No remote source is configured (see WORLD_GEO_SOURCES in geography.js).';
+  const message = `Map data unavailable — ${detail || 'no source configured'}.${hint}`;
+  if (status) status.failed(message);
+  throw new Error(message);
+}
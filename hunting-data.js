@@ -0,0 +1,67 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: the annual and daily hunting-season CSVs under ./data
+// Output: cached loaders for both files with numbers parsed and the -9999 "missing" code turned
+//         into null (water level has gaps in both files); daily rows come sorted by date with
+//         `date` and `season_day` (1 = first day of that year's season) added. annualFeatures()
+//         lists the annual columns that make sense as chart features.
+// Error modes: a failed fetch rejects (the page reports it); the next call tries again
+
+export const ANNUAL_CSV = './data/annual_hunting_season_environmental_conditions.csv';
+export const DAILY_CSV = './data/daily_hunting_season_environmental_conditions.csv';
+
+// the site's coordinates repeat on every row; they are not measurements
+const LOCATION_COLUMNS = /^(latitude|longitude)_/;
+
+// the files mark missing measurements with this code instead of leaving the cell empty
+const MISSING = -9999;
+
+function parseRow(row) {
+  const d = d3.autoType(row);
+  Object.keys(d).forEach(k => {
+    if (d[k] === MISSING) d[k] = null;
+  });
+  return d;
+}
+
+const cache = new Map();
+
+function load(url, prepare) {
+  if (!cache.has(url)) {
+    const pending = d3.csv(url, parseRow).then(prepare);
+    // forget failures so a later call can retry
+    pending.catch(() => cache.delete(url));
+    cache.set(url, pending);
+  }
+  return cache.get(url);
+}
+
+export function loadAnnualRows() {
+  return load(ANNUAL_CSV, rows => rows.sort((a, b) => a.year - b.year));
+}
+
+const parseMonth = d3.timeParse('%B');
+
+export function loadDailyRows() {
+  return load(DAILY_CSV, rows => {
+    rows.forEach(row => {
+      const month = parseMonth(row.month);
+      row.date = new Date(row.year, month ? month.getMonth() : 0, row.day);
+    });
+    rows.sort((a, b) => a.date - b.date);
+    d3.group(rows, d => d.year).forEach(days => days.forEach((row, i) => { row.season_day = i + 1; }));
+    return rows;
+  });
+}
+
+// numeric columns other than the year and the site coordinates
+export function annualFeatures(rows) {
+  return (rows.columns || Object.keys(rows[0] || {}))
+    .filter(c => c !== 'year' && !LOCATION_COLUMNS.test(c))
+    .filter(c => rows.some(r => typeof r[c] === 'number'));
+}
+
+export function featureLabel(feature) {
+  return feature.replace(/_/g, ' ');
+}
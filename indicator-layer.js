@@ -0,0 +1,276 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { featureIso3, featureName } from "./world-map.js";
+import { resolveRow } from "./country-codes.js";
+import { buildJoinReport, showJoinReport } from "./join-report.js";
+import { createClassifier, drawLegend, NO_DATA_COLOR } from "./classify.js";
+import { metricById, percentChange, cagr, countryAreasKm2 } from "./metrics.js";
+
+// --- small contract ---
+// Inputs: rows of an EPI 2022 raw time-series CSV (code, iso, country, <IND>.raw.<year> columns),
+//         and the indicator they belong to ({ code, label, file } from indicators.json); rows may be null
+// Output: a world-map layer that colors countries by the chosen classification scheme and palette
+//         (see classify.js) and draws the matching legend in #legend-row; classes are either
+//         recomputed for every year or fixed once over all years (so Play shows real change).
+//         Besides the raw value it can show the derived views from metrics.js.
+// Error modes: countries without a matching row (or without a value that year) stay gray
+
+// EPI marks missing values with negative sentinel codes instead of leaving the cell empty
+const MISSING_CODES = new Set([-7777, -8888, -9999]);
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// derive available years from CSV column names like "POP.raw.1990"
+export function indicatorYears(rows, code) {
+  if (!rows || !rows.columns) return [];
+  const pattern = new RegExp(`^${escapeRegExp(code)}\\.raw\\.(\\d{4})$`);
+  return rows.columns
+    .map(c => {
+      const m = c.match(pattern);
+      return m ? +m[1] : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+}
+
+// numeric value of an indicator cell, or null when it is empty or a missing-value code
+export function indicatorValue(row, code, year) {
+  const raw = row[`${code}.raw.${year}`];
+  if (raw == null || raw.toString().trim() === '') return null;
+  const val = +raw;
+  if (!isFinite(val) || MISSING_CODES.has(val)) return null;
+  return val;
+}
+
+// whole numbers (e.g. population) get thousands separators, everything else 4 significant digits
+export function formatIndicator(v) {
+  return Number.isInteger(v) ? d3.format(',')(v) : d3.format(',.4~g')(v);
+}
+
+// short form for legend labels: 1.4B, 38M, 0.25
+export function formatIndicatorShort(v) {
+  if (Math.abs(v) >= 1000) return d3.format('.3~s')(v).replace('G', 'B');
+  return d3.format('.3~g')(v);
+}
+
+export function createIndicatorLayer({
+  rows,
+  indicator,
+  scheme = 'quantile',
+  palette = 'Greens',
+  classes = 10,
+  fixedScale = false,
+  metric = 'raw',
+  baseYear = null
+}) {
+  let rowIsos = [];
+  let rawCache = new Map(); // year -> Map(iso3 -> raw value)
+  let areas = null; // iso3 -> km², from the map features (density view)
+
+  // prepare variables for the classifier and lookups; these will be built per-year
+  let valueLookup = new Map();
+  let values = [];
+  let classifier = createClassifier([], { scheme, palette, classes });
+  let fixedClassifier = null; // built lazily over every year, reset when the data or scheme changes
+  let reported = new Set();
+
+  function featureValue(d) {
+    const iso = featureIso3(d);
+    return iso ? (valueLookup.get(iso) ?? null) : null;
+  }
+
+  // report which features and rows fail to join (see join-report.js), once per dataset
+  function reportJoin(map) {
+    if (!rows || !map || reported.has(indicator.file)) return;
+    reported.add(indicator.file);
+    showJoinReport(buildJoinReport({ dataset: indicator.file, features: map.features, rows }));
+  }
+
+  // swap in another indicator's rows; the caller re-renders afterwards
+  function setIndicator(map, nextRows, nextIndicator) {
+    rows = nextRows;
+    indicator = nextIndicator;
+    // resolve every row to a canonical iso3 once (iso, numeric code, then name; see country-codes.js)
+    rowIsos = (rows || []).map(d => {
+      const c = resolveRow(d);
+      return c ? c.iso3 : null;
+    });
+    rawCache = new Map();
+    fixedClassifier = null;
+    reportJoin(map);
+  }
+  setIndicator(null, rows, indicator);
+
+  function attach(map) {
+    reportJoin(map);
+  }
+
+  // change the classification scheme, palette or year mode; the caller re-renders afterwards
+  function setClassification(opts) {
+    if (opts.scheme) scheme = opts.scheme;
+    if (opts.palette) palette = opts.palette;
+    if (opts.classes) classes = opts.classes;
+    if (opts.fixedScale != null) fixedScale = !!opts.fixedScale;
+    fixedClassifier = null;
+  }
+
+  // change the derived view (see metrics.js) and its base year; the caller re-renders afterwards
+  function setMetric(opts) {
+    if (opts.metric) metric = opts.metric;
+    if (opts.baseYear != null) baseYear = +opts.baseYear;
+    fixedClassifier = null;
+  }
+
+  // iso3 -> raw value for a year
+  function rawValues(year) {
+    if (rawCache.has(year)) return rawCache.get(year);
+    const lookup = new Map();
+    (rows || []).forEach((d, i) => {
+      const iso = rowIsos[i];
+      if (iso) lookup.set(iso, indicatorValue(d, indicator.code, year));
+    });
+    rawCache.set(year, lookup);
+    return lookup;
+  }
+
+  // the base year the "since" and CAGR views compare against (first year if unset)
+  function effectiveBase() {
+    const years = indicatorYears(rows, indicator.code);
+    if (baseYear != null && years.includes(baseYear)) return baseYear;
+    return years[0] ?? null;
+  }
+
+  // iso3 -> value of the selected view for a year
+  function metricValues(map, year) {
+    const current = rawValues(year);
+    if (metric === 'raw') return current;
+    const out = new Map();
+    if (metric === 'density') {
+      if (!areas) areas = countryAreasKm2(map.features);
+      current.forEach((v, iso) => {
+        const km2 = areas.get(iso);
+        out.set(iso, v == null || !km2 ? null : v / km2);
+      });
+      return out;
+    }
+    if (metric === 'yoy') {
+      const previous = rawValues(year - 1);
+      current.forEach((v, iso) => out.set(iso, percentChange(previous.get(iso), v)));
+      return out;
+    }
+    const base = effectiveBase();
+    const baseValues = rawValues(base);
+    current.forEach((v, iso) => {
+      if (metric === 'since') out.set(iso, year < base ? null : percentChange(baseValues.get(iso), v));
+      else out.set(iso, cagr(baseValues.get(iso), v, year - base));
+    });
+    return out;
+  }
+
+  // one classifier over the values of every year, so a color means the same amount all the way through Play
+  function classifierForAllYears(map) {
+    if (fixedClassifier) return fixedClassifier;
+    const all = [];
+    const years = indicatorYears(rows, indicator.code);
+    years.forEach(y => {
+      metricValues(map, y).forEach(v => {
+        if (v != null) all.push(v);
+      });
+    });
+    fixedClassifier = createClassifier(all, { scheme, palette, classes });
+    fixedClassifier.years = d3.extent(years);
+    return fixedClassifier;
+  }
+
+  // which years the classes were computed from, for the legend caption and tooltip
+  function modeLabel(year) {
+    if (!fixedScale) return `${year} only`;
+    const [y0, y1] = classifier.years || [];
+    return y0 == null ? 'all years' : `all years ${y0}–${y1}`;
+  }
+
+  function metricLabel(year) {
+    return metricById(metric).label(indicator, effectiveBase(), year);
+  }
+
+  // builds the lookup for a year, classifies the values, updates fills and legend
+  function render(map, year) {
+    valueLookup = metricValues(map, year);
+    values = Array.from(valueLookup.values()).filter(v => v != null);
+    classifier = fixedScale ? classifierForAllYears(map) : createClassifier(values, { scheme, palette, classes });
+
+    map.countryPaths.attr('fill', d => {
+      const v = featureValue(d);
+      return v == null ? NO_DATA_COLOR : classifier.color(v);
+    });
+
+    // update HTML legend row (under the slider)
+    const m = metricById(metric);
+    drawLegend(d3.select('#legend-row'), classifier, m.short || formatIndicatorShort, {
+      emptyText: `No ${metricLabel(year)} data for ${year}`,
+      caption: values.length ? `${metricLabel(year)}${m.unit ? ` (${m.unit})` : ''} — colors scaled to ${modeLabel(year)}` : null
+    });
+  }
+
+  function countryTooltip(map, d) {
+    const m = metricById(metric);
+    const format = m.format || formatIndicator;
+    const v = featureValue(d);
+    const lines = [`<strong>${featureName(d) || 'Unknown'}</strong>`];
+    lines.push(`${metricLabel(map.currentYear)}${metric === 'raw' ? ` ${map.currentYear}` : ''}: ${v == null ? 'No data' : format(v)}`);
+    if (metric !== 'raw') {
+      // the derived views also show the raw value they were computed from
+      const iso = featureIso3(d);
+      const raw = iso ? rawValues(map.currentYear).get(iso) : null;
+      lines.push(`${indicator.code} ${map.currentYear}: ${raw == null ? 'No data' : formatIndicator(raw)}`);
+    }
+    if (!classifier.continuous) {
+      const i = classifier.classOf(v);
+      const short = m.short || formatIndicatorShort;
+      const range = i == null ? '' : ` (${short(classifier.classes[i].low)}–${short(classifier.classes[i].high)})`;
+      // 10 quantile classes are deciles; anything else is a numbered class
+      const name = scheme === 'quantile' && classifier.classes.length === 10 ? 'Decile' : 'Class';
+      lines.push(`${name} (${modeLabel(map.currentYear)}): ${classifier.describe(v)}${range}`);
+    }
+    return lines.join('<br>');
+  }
+
+  // full raw series of one country, for the detail panel
+  function series(iso) {
+    return indicatorYears(rows, indicator.code).map(year => ({ year, value: rawValues(year).get(iso) ?? null }));
+  }
+
+  // 1-based rank of a country's raw value among all countries with data that year (largest first)
+  function rank(iso, year) {
+    const lookup = rawValues(year);
+    const v = lookup.get(iso);
+    if (v == null) return null;
+    const all = Array.from(lookup.values()).filter(x => x != null);
+    return { rank: all.filter(x => x > v).length + 1, of: all.length };
+  }
+
+  // the table behind the map as drawn: one row per country shape with its joined raw value,
+  // the derived value when a derived view is shown, and its class
+  function displayedRows(map) {
+    const year = map.currentYear;
+    const raw = rawValues(year);
+    return map.features.map(f => {
+      const iso = featureIso3(f);
+      const row = { iso3: iso, country: featureName(f), year, [indicator.code]: iso ? (raw.get(iso) ?? null) : null };
+      const v = featureValue(f);
+      if (metric !== 'raw') row[metricLabel(year)] = v;
+      if (!classifier.continuous) {
+        const i = classifier.classOf(v);
+        row.class = i == null ? null : i + 1;
+      }
+      return row;
+    });
+  }
+
+  return {
+    attach, render, countryTooltip, setIndicator, setClassification, setMetric,
+    series, rank, displayedRows,
+    indicator: () => indicator
+  };
+}
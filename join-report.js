@@ -0,0 +1,102 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { resolveRow, countryInfo } from "./country-codes.js";
+import { featureCountry, featureName } from "./world-map.js";
+
+// --- small contract ---
+// Inputs: the map's GeoJSON features and a dataset's CSV rows
+// Output: a report of which features and rows joined, and which did not (and why); when the
+//         page URL has ?debug=join it is logged to the console as a collapsed group and shown as
+//         a panel under the map
+// Error modes: none; rows and features that cannot be resolved are listed, not thrown
+
+export function buildJoinReport({ dataset, features, rows }) {
+  const featureRecords = features.map(f => {
+    const c = featureCountry(f);
+    return { name: featureName(f) || '(unnamed)', id: f.id ?? '', iso3: c ? c.iso3 : null, via: c ? c.via : null };
+  });
+
+  // the disaster CSV has one row per event, so rows are reported once per distinct country
+  const rowGroups = new Map();
+  (rows || []).forEach(row => {
+    const c = resolveRow(row);
+    const country = (row.country ?? row.Country ?? row.name ?? '').toString().trim();
+    const code = (row.iso ?? row.iso3 ?? row.ISO3 ?? '').toString().trim();
+    const key = c ? c.iso3 : `?${country}|${code}|${row.code ?? ''}`;
+    if (!rowGroups.has(key)) {
+      rowGroups.set(key, { country, iso: code, code: row.code ?? '', iso3: c ? c.iso3 : null, via: c ? c.via : null, rows: 0 });
+    }
+    rowGroups.get(key).rows += 1;
+  });
+  const rowRecords = Array.from(rowGroups.values());
+
+  const featureIsos = new Set(featureRecords.map(r => r.iso3).filter(Boolean));
+  const rowIsos = new Set(rowRecords.map(r => r.iso3).filter(Boolean));
+
+  const unmatchedFeatures = featureRecords
+    .filter(r => !r.iso3 || !rowIsos.has(r.iso3))
+    .map(r => ({ ...r, reason: r.iso3 ? `no ${dataset} row for ${r.iso3}` : 'could not resolve a country code' }));
+  const unmatchedRows = rowRecords
+    .filter(r => !r.iso3 || !featureIsos.has(r.iso3))
+    .map(r => ({
+      ...r,
+      reason: r.iso3 ? `no map shape for ${r.iso3} (${(countryInfo(r.iso3) || {}).name || r.iso3})` : 'could not resolve a country code'
+    }));
+
+  // how each side was matched (iso3, alias, numeric, name) tells us how much we rely on names
+  const countVia = recs => d3.rollup(recs.filter(r => r.via), v => v.length, r => r.via);
+
+  return {
+    dataset,
+    features: featureRecords.length,
+    rows: rowRecords.length,
+    matchedFeatures: featureRecords.length - unmatchedFeatures.length,
+    matchedRows: rowRecords.length - unmatchedRows.length,
+    featureVia: Object.fromEntries(countVia(featureRecords)),
+    rowVia: Object.fromEntries(countVia(rowRecords)),
+    unmatchedFeatures,
+    unmatchedRows
+  };
+}
+
+function coverageText(report) {
+  const pct = (a, b) => b ? d3.format('.0%')(a / b) : 'n/a';
+  return `${report.dataset}: ${report.matchedFeatures}/${report.features} map features joined (${pct(report.matchedFeatures, report.features)}), ` +
+    `${report.matchedRows}/${report.rows} countries in the CSV joined (${pct(report.matchedRows, report.rows)})`;
+}
+
+// in debug mode, log the report and render it under the map
+export function showJoinReport(report, container = d3.select('#map')) {
+  if (new URLSearchParams(window.location.search).get('debug') !== 'join') return;
+  console.groupCollapsed(`Join report — ${coverageText(report)}`);
+  console.log('feature matches by method:', report.featureVia, 'row matches by method:', report.rowVia);
+  if (report.unmatchedFeatures.length) console.table(report.unmatchedFeatures, ['name', 'id', 'iso3', 'reason']);
+  if (report.unmatchedRows.length) console.table(report.unmatchedRows, ['country', 'iso', 'code', 'rows', 'reason']);
+  console.groupEnd();
+
+  const node = container.node();
+  const parent = node && node.parentNode ? d3.select(node.parentNode) : d3.select('body');
+  const panel = parent.append('details')
+    .attr('class', 'join-report')
+    .property('open', true)
+    .style('max-width', '1200px')
+    .style('margin', '8px auto')
+    .style('font-size', '12px');
+  panel.append('summary').text(coverageText(report));
+
+  const table = (title, records, columns) => {
+    panel.append('h4').style('margin', '8px 0 4px').text(`${title} (${records.length})`);
+    if (!records.length) {
+      panel.append('div').text('none');
+      return;
+    }
+    const t = panel.append('table').style('border-collapse', 'collapse');
+    t.append('tr').selectAll('th').data(columns).join('th')
+      .style('text-align', 'left').style('padding', '2px 8px').text(c => c);
+    t.selectAll('tr.row').data(records).join('tr')
+      .attr('class', 'row')
+      .selectAll('td').data(r => columns.map(c => r[c] ?? '')).join('td')
+      .style('padding', '2px 8px').text(v => v);
+  };
+  table('Map features without data', report.unmatchedFeatures, ['name', 'id', 'iso3', 'reason']);
+  table('CSV countries not on the map', report.unmatchedRows, ['country', 'iso', 'code', 'rows', 'reason']);
+}
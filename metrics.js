@@ -0,0 +1,85 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { featureIso3 } from "./world-map.js";
+
+// --- small contract ---
+// Inputs: raw indicator values (and for density, the map's GeoJSON features)
+// Output: the derived views offered by the choropleth (growth, change since a base year, CAGR,
+//         density) with their labels and number formats
+// Error modes: a derived value that cannot be computed (missing input, zero base) is null
+
+// mean Earth radius used to turn d3.geoArea steradians into km²
+export const EARTH_RADIUS_KM = 6371.0088;
+
+// percentage change from v0 to v1 (null when either is missing or v0 is zero)
+export function percentChange(v0, v1) {
+  if (v0 == null || v1 == null || v0 === 0) return null;
+  return (v1 / v0 - 1) * 100;
+}
+
+// compound annual growth rate in % per year between two values `years` apart
+export function cagr(v0, v1, years) {
+  if (v0 == null || v1 == null || years <= 0 || v0 <= 0 || v1 < 0) return null;
+  return (Math.pow(v1 / v0, 1 / years) - 1) * 100;
+}
+
+// land area of every country on the map in km², summing features that resolve to the same iso3
+export function countryAreasKm2(features) {
+  const areas = new Map();
+  features.forEach(f => {
+    const iso = featureIso3(f);
+    if (!iso) return;
+    const km2 = d3.geoArea(f) * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+    areas.set(iso, (areas.get(iso) || 0) + km2);
+  });
+  return areas;
+}
+
+const formatPct = d3.format('+.1f');
+const formatPctShort = d3.format('+.2~f');
+
+// The views offered in #metric-select. `needsBase` metrics use the base year picker;
+// `label` is used for the tooltip line and legend caption.
+export const METRICS = [
+  {
+    id: 'raw',
+    label: (ind) => ind.code,
+    option: 'Value'
+  },
+  {
+    id: 'yoy',
+    label: () => 'Growth vs previous year',
+    option: 'Year-over-year growth (%)',
+    unit: '%',
+    format: v => `${formatPct(v)}%`,
+    short: v => `${formatPctShort(v)}%`
+  },
+  {
+    id: 'since',
+    needsBase: true,
+    label: (ind, base) => `Change since ${base}`,
+    option: 'Change since base year (%)',
+    unit: '%',
+    format: v => `${formatPct(v)}%`,
+    short: v => `${formatPctShort(v)}%`
+  },
+  {
+    id: 'cagr',
+    needsBase: true,
+    label: (ind, base, year) => `CAGR ${base}–${year}`,
+    option: 'CAGR from base year (% / yr)',
+    unit: '% / yr',
+    format: v => `${d3.format('+.2f')(v)}% / yr`,
+    short: v => `${formatPctShort(v)}%`
+  },
+  {
+    id: 'density',
+    label: (ind) => `${ind.code} per km²`,
+    option: 'Density (per km²)',
+    format: v => `${d3.format(',.1f')(v)} / km²`,
+    short: v => (Math.abs(v) >= 1000 ? d3.format('.3~s')(v) : d3.format('.3~g')(v))
+  }
+];
+
+export function metricById(id) {
+  return METRICS.find(m => m.id === id) || METRICS[0];
+}
@@ -0,0 +1,70 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: a projection id (e.g. from #projection-select or localStorage)
+// Output: the projections offered by the map pages; each entry makes a fresh d3 projection and
+//         says what outline it is fitted to (world-map.js fits it with fitSize and redraws)
+// Error modes: an unknown id falls back to Natural Earth
+//
+// Entry fields:
+//   create()     a new, unfitted d3 projection
+//   outline      GeoJSON the projection is fitted to (Mercator cannot show the poles)
+//   rotatable    drag rotates the globe instead of panning
+//   region       re-centred on the countries in view each time it is chosen (conic projections
+//                only work well for a limited range of latitudes and longitudes)
+
+const SPHERE = { type: 'Sphere' };
+
+export const PROJECTIONS = [
+  {
+    id: 'naturalEarth',
+    label: 'Natural Earth',
+    create: () => d3.geoNaturalEarth1(),
+    outline: SPHERE
+  },
+  {
+    id: 'equalEarth',
+    label: 'Equal Earth',
+    create: () => d3.geoEqualEarth(),
+    outline: SPHERE
+  },
+  {
+    id: 'mercator',
+    label: 'Mercator',
+    create: () => d3.geoMercator(),
+    // the poles are at infinity; stop at 80°S / 84°N like most web maps
+    outline: d3.geoGraticule().extentMajor([[-180, -80], [180, 84]]).outline()
+  },
+  {
+    id: 'orthographic',
+    label: 'Globe (drag to rotate)',
+    create: () => d3.geoOrthographic().rotate([-10, -20]),
+    outline: SPHERE,
+    rotatable: true
+  },
+  {
+    id: 'albers',
+    label: 'Albers (region in view)',
+    create: () => d3.geoConicEqualArea(),
+    outline: SPHERE,
+    region: true
+  }
+];
+
+export function projectionById(id) {
+  return PROJECTIONS.find(p => p.id === id) || PROJECTIONS[0];
+}
+
+// Centre a conic projection on a set of features: rotate to the middle longitude and put the
+// standard parallels at 1/6 and 5/6 of the latitude span (the usual rule of thumb).
+// Returns the projection, not yet fitted.
+export function centreConic(projection, features) {
+  const [[lon0, lat0], [lon1, lat1]] = d3.geoBounds({ type: 'FeatureCollection', features });
+  // geoBounds reports boxes crossing the antimeridian with lon0 > lon1
+  const lonSpan = lon1 >= lon0 ? lon1 - lon0 : lon1 + 360 - lon0;
+  const lonMid = lon0 + lonSpan / 2;
+  const latSpan = lat1 - lat0;
+  return projection
+    .rotate([-lonMid, 0])
+    .parallels([lat0 + latSpan / 6, lat1 - latSpan / 6]);
+}
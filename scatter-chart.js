@@ -0,0 +1,234 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { featureLabel } from "./hunting-data.js";
+
+// --- small contract ---
+// Inputs: a container and the annual rows from hunting-data.js (missing values are null); width and
+//         height are the plot's size inside the margins
+// Output: the scatter of one feature against another, shared by the scatter page and the
+//         dashboard. setData() plots rows for two features over the whole data (one unit of
+//         padding around it); zoomTo() and reset() move the view, driven by the page's own gesture
+//         on the `underlay` layer under the points (a zoom box, a brush). Points show a tooltip on
+//         hover and report it through onHover(year | null); highlight() fades the years outside a
+//         selection and outlines the hovered one.
+// Error modes: rows missing either value are left out
+
+const POINT_COLOR = 'steelblue';
+const HOVER_STROKE = '#222';
+const OPACITY = 0.7;
+const FADED = 0.15;
+// one unit of padding around the data on both axes
+const PADDING = 1;
+
+const sameDomain = (a, b) => Math.abs(a[0] - b[0]) < 1e-10 && Math.abs(a[1] - b[1]) < 1e-10;
+
+// each chart needs its own clip path id
+let chartCount = 0;
+
+export function createScatterChart({
+  container,
+  width = 710,
+  height = 400,
+  margin = { top: 40, right: 30, bottom: 60, left: 60 },
+  onHover = () => {}
+}) {
+  let xFeat = null;
+  let yFeat = null;
+  let points = [];
+  let originalX = [0, 1];
+  let originalY = [0, 1];
+  let emphasis = { isSelected: () => true, hovered: null };
+
+  const svg = container.append('svg')
+    .attr('width', width + margin.left + margin.right)
+    .attr('height', height + margin.top + margin.bottom)
+    .attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+  const plot = svg.append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  // the page's pointer gesture goes here, behind the points so they still get hovered
+  const underlay = plot.append('g').attr('class', 'underlay');
+
+  const clipId = `scatter-clip-${++chartCount}`;
+  plot.append('defs')
+    .append('clipPath')
+    .attr('id', clipId)
+    .append('rect')
+    .attr('width', width)
+    .attr('height', height);
+  // visible points, clipped to the plot when zoomed in
+  const plotArea = plot.append('g')
+    .attr('clip-path', `url(#${clipId})`);
+  // larger invisible hover targets above them
+  const interactionArea = plot.append('g');
+
+  const xScale = d3.scaleLinear().range([0, width]);
+  const yScale = d3.scaleLinear().range([height, 0]);
+
+  const xAxis = plot.append('g')
+    .attr('class', 'axis x-axis')
+    .attr('transform', `translate(0,${height})`);
+  const yAxis = plot.append('g')
+    .attr('class', 'axis y-axis');
+  const xLabel = plot.append('text')
+    .attr('class', 'x-axis-label')
+    .attr('x', width / 2)
+    .attr('y', height + margin.bottom - 10)
+    .style('text-anchor', 'middle');
+  const yLabel = plot.append('text')
+    .attr('class', 'y-axis-label')
+    .attr('transform', 'rotate(-90)')
+    .attr('y', -margin.left + 20)
+    .attr('x', -(height / 2))
+    .style('text-anchor', 'middle');
+  const title = plot.append('text')
+    .attr('class', 'plot-title')
+    .attr('x', width / 2)
+    .attr('y', -margin.top / 2)
+    .style('text-anchor', 'middle')
+    .style('font-size', '16px');
+
+  const tooltip = d3.select('body').append('div')
+    .style('position', 'absolute')
+    .style('visibility', 'hidden')
+    .style('background-color', 'white')
+    .style('border', 'solid')
+    .style('border-width', '1px')
+    .style('border-radius', '5px')
+    .style('padding', '10px');
+
+  // the first and last y labels would sit on the corners of the plot
+  function hideEndTicks() {
+    const [y0, y1] = yScale.domain();
+    yAxis.selectAll('.tick text')
+      .style('opacity', d => (Math.abs(d - y0) < 1e-10 || Math.abs(d - y1) < 1e-10 ? 0 : 1));
+  }
+
+  // Axes and points for the current domains; year axes jump instead of sliding, since their
+  // ticks are the years themselves
+  function render(duration) {
+    const [x0, x1] = xScale.domain();
+    const animate = sel => (duration ? sel.transition().duration(duration) : sel);
+
+    const ax = d3.axisBottom(xScale);
+    if (xFeat === 'year') {
+      ax.tickFormat(d3.format('d')).tickValues(points.filter(d => d.x >= x0 && d.x <= x1).map(d => d.x));
+    } else {
+      ax.ticks(10);
+    }
+    (xFeat === 'year' ? xAxis : animate(xAxis))
+      .call(ax)
+      .selectAll('text')
+      .style('text-anchor', 'middle');
+
+    const ay = d3.axisLeft(yScale).ticks(10);
+    if (yFeat === 'year') {
+      ay.tickFormat(d3.format('d'));
+    }
+    (yFeat === 'year' ? yAxis : animate(yAxis)).call(ay);
+    hideEndTicks();
+
+    animate(plotArea.selectAll('.point'))
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.y));
+    animate(interactionArea.selectAll('.interaction-point'))
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.y));
+  }
+
+  function restyle() {
+    plotArea.selectAll('.point')
+      .style('opacity', d => (d.year === emphasis.hovered ? 1 : (emphasis.isSelected(d.year) ? OPACITY : FADED)))
+      .attr('stroke', d => (d.year === emphasis.hovered ? HOVER_STROKE : null))
+      .attr('stroke-width', 2);
+  }
+
+  // Plot the rows for these features over the whole data, dropping any zoom
+  function setData(rows, nextX, nextY, duration = 750) {
+    xFeat = nextX;
+    yFeat = nextY;
+    points = rows
+      .filter(d => d[xFeat] != null && d[yFeat] != null)
+      .map(d => ({ x: d[xFeat], y: d[yFeat], year: d.year }));
+    const [xMin, xMax] = d3.extent(points, d => d.x);
+    const [yMin, yMax] = d3.extent(points, d => d.y);
+    originalX = xMin === undefined ? [0, 1] : [xMin - PADDING, xMax + PADDING];
+    originalY = yMin === undefined ? [0, 1]
+      : d3.scaleLinear().domain([yMin - PADDING, yMax + PADDING]).nice().domain();
+    xScale.domain(originalX);
+    yScale.domain(originalY);
+
+    xLabel.text(featureLabel(xFeat));
+    yLabel.text(featureLabel(yFeat));
+    title.text(`${featureLabel(yFeat)} vs ${featureLabel(xFeat)}`);
+
+    plotArea.selectAll('.point')
+      .data(points, d => d.year)
+      .join(enter => enter.append('circle')
+        .attr('class', 'point')
+        .attr('data-year', d => d.year)
+        .attr('cx', d => xScale(d.x))
+        .attr('cy', d => yScale(d.y))
+        .attr('r', 5)
+        .style('fill', POINT_COLOR));
+    interactionArea.selectAll('.interaction-point')
+      .data(points, d => d.year)
+      .join(enter => enter.append('circle')
+        .attr('class', 'interaction-point')
+        .attr('data-year', d => d.year)
+        .attr('cx', d => xScale(d.x))
+        .attr('cy', d => yScale(d.y))
+        .attr('r', 8)
+        .style('fill', 'transparent')
+        .style('pointer-events', 'all')
+        .on('mouseover', (event, d) => {
+          // bring the point to the front without changing its size
+          plotArea.selectAll('.point').filter(p => p.year === d.year).raise().style('opacity', 1);
+          tooltip
+            .style('visibility', 'visible')
+            .html(`Year: ${d.year}<br/>${xFeat}: ${d.x}<br/>${yFeat}: ${d.y}`);
+          onHover(d.year);
+        })
+        .on('mousemove', (event) => {
+          tooltip
+            .style('top', (event.pageY - 10) + 'px')
+            .style('left', (event.pageX + 10) + 'px');
+        })
+        .on('mouseout', () => {
+          tooltip.style('visibility', 'hidden');
+          restyle();
+          onHover(null);
+        }));
+    restyle();
+    render(duration);
+  }
+
+  return {
+    svg,
+    plot,
+    underlay,
+    plotArea,
+    xScale,
+    yScale,
+    width,
+    height,
+    setData,
+    points: () => points,
+    // show these domains (the y one rounded outwards with `nice`)
+    zoomTo(xDomain, yDomain, { duration = 750, nice = false } = {}) {
+      xScale.domain(xDomain);
+      yScale.domain(yDomain);
+      if (nice) yScale.nice();
+      render(duration);
+    },
+    reset(duration = 750) {
+      xScale.domain(originalX);
+      yScale.domain(originalY);
+      render(duration);
+    },
+    isZoomed: () => !(sameDomain(xScale.domain(), originalX) && sameDomain(yScale.domain(), originalY)),
+    highlight(next) {
+      emphasis = next;
+      restyle();
+    }
+  };
+}
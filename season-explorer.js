@@ -0,0 +1,328 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { remembered } from "./view-state.js";
+
+// --- small contract ---
+// Inputs: a container and the daily hunting-season rows from hunting-data.js (year, month, day,
+//         season_day, temp_min/max/mean, water_level, leaf_drop_early_late)
+// Output: every season as a line of daily mean temperature over its days, with the seasons picked
+//         in the checklist overlaid in color for comparison (the rest stay as gray context), an
+//         optional min/max temperature band, water level on a secondary axis and shading of the
+//         days in the early period of the season (leaf_drop_early_late = 1). Hovering a day lists
+//         the picked seasons' values. The picks and toggles are remembered in localStorage.
+// Error modes: days missing a value leave a gap in that line; with no rows it shows a message;
+//              blocked storage falls back to the defaults
+
+const width = 900;
+const height = 420;
+const margin = { top: 20, right: 60, bottom: 44, left: 56 };
+const innerW = width - margin.left - margin.right;
+const innerH = height - margin.top - margin.bottom;
+
+// leaf_drop_early_late splits every season into an early period (1, season days 1–10 in each year
+// of the data) and a late one (2, day 11 on). It is a fixed split of the season, not the year's
+// leaf drop: leaf_drop_doy (~240–248) falls before the season starts on Sep 1.
+const EARLY_FLAG = 1;
+
+const TOGGLES = [
+  { key: 'explorerBand', label: 'Min/max band', initial: true },
+  { key: 'explorerWater', label: 'Water level (right axis)', initial: true },
+  { key: 'explorerShade', label: 'Shade the early period (leaf_drop_early_late = 1)', initial: true }
+];
+
+function readToggle({ key, initial }) {
+  const saved = remembered(key);
+  return saved == null ? initial : saved === '1';
+}
+
+export function createSeasonExplorer({ container, rows }) {
+  if (!rows || !rows.length) {
+    container.append('p').text('No daily data to show.');
+    return null;
+  }
+  const seasons = d3.group(rows, d => d.year);
+  const years = Array.from(seasons.keys()).sort((a, b) => a - b);
+  const maxDay = d3.max(rows, d => d.season_day);
+  // label of each season day from the first season that has it ("Sep 1")
+  const dayLabel = new Map();
+  rows.forEach(d => {
+    if (!dayLabel.has(d.season_day)) dayLabel.set(d.season_day, d3.timeFormat('%b %-d')(d.date));
+  });
+
+  // picked seasons: remembered, else the last three
+  let picked = (remembered('explorerSeasons') || '')
+    .split(',')
+    .map(Number)
+    .filter(y => seasons.has(y));
+  if (!picked.length) picked = years.slice(-3);
+  const shown = {};
+  TOGGLES.forEach(t => { shown[t.key] = readToggle(t); });
+  // seasons in time order from blue to red, distinct enough for all 17 at once
+  const color = d3.scaleSequential(t => d3.interpolateTurbo(0.1 + 0.8 * t))
+    .domain(d3.extent(years).map((y, i) => (years.length > 1 ? y : y + i)));
+
+  // --- controls ---
+  const controls = container.append('div')
+    .attr('class', 'explorer-controls')
+    .style('text-align', 'center')
+    .style('margin-bottom', '8px');
+  const seasonList = controls.append('div')
+    .attr('class', 'season-picker')
+    .style('margin-bottom', '6px');
+  seasonList.append('span').text('Seasons: ');
+  const seasonItems = seasonList.selectAll('label')
+    .data(years)
+    .join('label')
+    .style('margin-right', '8px')
+    .style('white-space', 'nowrap');
+  seasonItems.append('input')
+    .attr('type', 'checkbox')
+    .attr('value', d => d)
+    .on('change', function (event, year) {
+      picked = this.checked ? [...picked, year].sort((a, b) => a - b) : picked.filter(y => y !== year);
+      savePicks();
+      update();
+    });
+  seasonItems.append('span').text(d => ` ${d}`);
+  seasonList.append('button')
+    .attr('type', 'button')
+    .style('margin-left', '8px')
+    .text('All')
+    .on('click', () => {
+      picked = years.slice();
+      savePicks();
+      update();
+    });
+  seasonList.append('button')
+    .attr('type', 'button')
+    .style('margin-left', '4px')
+    .text('None')
+    .on('click', () => {
+      picked = [];
+      savePicks();
+      update();
+    });
+  TOGGLES.forEach(t => {
+    const label = controls.append('label').style('margin-right', '12px');
+    label.append('input')
+      .attr('type', 'checkbox')
+      .attr('class', t.key)
+      .property('checked', shown[t.key])
+      .on('change', function () {
+        shown[t.key] = this.checked;
+        try { localStorage.setItem(t.key, this.checked ? '1' : '0'); } catch (e) {}
+        update();
+      });
+    label.append('span').text(` ${t.label}`);
+  });
+
+  function savePicks() {
+    try { localStorage.setItem('explorerSeasons', picked.join(',')); } catch (e) {}
+  }
+
+  // --- chart ---
+  const svg = container.append('svg')
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('role', 'img')
+    .attr('aria-label', 'Daily temperature of each hunting season')
+    .style('width', '100%')
+    .style('max-width', `${width}px`)
+    .style('height', 'auto')
+    .style('display', 'block')
+    .style('margin', '0 auto');
+  const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const x = d3.scaleLinear().domain([1, maxDay]).range([0, innerW]);
+  const temp = d3.scaleLinear()
+    .domain(d3.extent(rows.flatMap(d => [d.temp_min, d.temp_max, d.temp_mean]).filter(v => v != null)))
+    .nice()
+    .range([innerH, 0]);
+  const water = d3.scaleLinear()
+    .domain(d3.extent(rows, d => d.water_level))
+    .nice()
+    .range([innerH, 0]);
+
+  const shade = g.append('g').attr('class', 'early-shading');
+  g.append('g')
+    .attr('transform', `translate(0,${innerH})`)
+    .call(d3.axisBottom(x).ticks(Math.min(maxDay, 12)).tickFormat(d => dayLabel.get(d) || ''));
+  g.append('text')
+    .attr('x', innerW / 2)
+    .attr('y', innerH + 38)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '12px')
+    .text('Day of the hunting season');
+  g.append('g').call(d3.axisLeft(temp));
+  g.append('text')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -innerH / 2)
+    .attr('y', -40)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '12px')
+    .text('Temperature (°C)');
+  const waterAxis = g.append('g').attr('transform', `translate(${innerW},0)`).call(d3.axisRight(water));
+  const waterTitle = g.append('text')
+    .attr('transform', 'rotate(90)')
+    .attr('x', innerH / 2)
+    .attr('y', -innerW - 46)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '12px')
+    .text('Water level');
+
+  const context = g.append('g').attr('class', 'context-seasons');
+  const bands = g.append('g').attr('class', 'temp-bands');
+  const waterLines = g.append('g').attr('class', 'water-lines');
+  const tempLines = g.append('g').attr('class', 'temp-lines');
+  const hoverLine = g.append('line')
+    .attr('y1', 0)
+    .attr('y2', innerH)
+    .attr('stroke', '#888')
+    .attr('stroke-dasharray', '3,3')
+    .style('display', 'none');
+
+  const legend = container.append('div')
+    .attr('class', 'explorer-legend')
+    .style('display', 'flex')
+    .style('flex-wrap', 'wrap')
+    .style('justify-content', 'center')
+    .style('gap', '12px')
+    .style('font-size', '12px')
+    .style('margin-top', '6px');
+  const tip = d3.select('body').append('div')
+    .attr('class', 'explorer-tip')
+    .style('position', 'absolute')
+    .style('pointer-events', 'none')
+    .style('background', 'white')
+    .style('border', '1px solid #999')
+    .style('border-radius', '4px')
+    .style('padding', '4px 8px')
+    .style('font-size', '12px')
+    .style('display', 'none');
+
+  const tempLine = d3.line()
+    .defined(d => d.temp_mean != null)
+    .x(d => x(d.season_day))
+    .y(d => temp(d.temp_mean));
+  const waterLine = d3.line()
+    .defined(d => d.water_level != null)
+    .x(d => x(d.season_day))
+    .y(d => water(d.water_level));
+  const band = d3.area()
+    .defined(d => d.temp_min != null && d.temp_max != null)
+    .x(d => x(d.season_day))
+    .y0(d => temp(d.temp_min))
+    .y1(d => temp(d.temp_max));
+
+  // contiguous runs of season days flagged early in any picked season (all seasons if none picked)
+  function earlyRuns() {
+    const source = picked.length ? picked : years;
+    const flagged = new Set();
+    source.forEach(y => seasons.get(y).forEach(d => {
+      if (d.leaf_drop_early_late === EARLY_FLAG) flagged.add(d.season_day);
+    }));
+    const runs = [];
+    d3.range(1, maxDay + 1).forEach(day => {
+      if (!flagged.has(day)) return;
+      const last = runs[runs.length - 1];
+      if (last && last[1] === day - 1) last[1] = day;
+      else runs.push([day, day]);
+    });
+    return runs;
+  }
+
+  function update() {
+    seasonItems.select('input').property('checked', d => picked.includes(d));
+
+    // shade half a day either side so a single flagged day still shows
+    shade.selectAll('rect')
+      .data(shown.explorerShade ? earlyRuns() : [])
+      .join('rect')
+      .attr('x', ([a]) => Math.max(0, x(a - 0.5)))
+      .attr('width', ([a, b]) => Math.min(innerW, x(b + 0.5)) - Math.max(0, x(a - 0.5)))
+      .attr('y', 0)
+      .attr('height', innerH)
+      .attr('fill', '#f3e3c3')
+      .attr('fill-opacity', 0.6);
+
+    context.selectAll('path')
+      .data(years.filter(y => !picked.includes(y)), y => y)
+      .join('path')
+      .attr('fill', 'none')
+      .attr('stroke', '#bbb')
+      .attr('stroke-width', 1)
+      .attr('d', y => tempLine(seasons.get(y)));
+
+    bands.selectAll('path')
+      .data(shown.explorerBand ? picked : [], y => y)
+      .join('path')
+      .attr('fill', y => color(y))
+      .attr('fill-opacity', 0.12)
+      .attr('d', y => band(seasons.get(y)));
+
+    waterAxis.style('display', shown.explorerWater ? null : 'none');
+    waterTitle.style('display', shown.explorerWater ? null : 'none');
+    waterLines.selectAll('path')
+      .data(shown.explorerWater ? picked : [], y => y)
+      .join('path')
+      .attr('fill', 'none')
+      .attr('stroke', y => color(y))
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '5,3')
+      .attr('d', y => waterLine(seasons.get(y)));
+
+    tempLines.selectAll('path')
+      .data(picked, y => y)
+      .join('path')
+      .attr('fill', 'none')
+      .attr('stroke', y => color(y))
+      .attr('stroke-width', 2.5)
+      .attr('d', y => tempLine(seasons.get(y)));
+
+    legend.html('');
+    picked.forEach(y => {
+      const item = legend.append('span').style('white-space', 'nowrap');
+      item.append('span').style('color', color(y)).text('■ ');
+      item.append('span').text(y);
+    });
+    const key = legend.append('span').style('color', '#555');
+    key.text(`solid = mean temperature${shown.explorerBand ? ', band = daily min–max' : ''}` +
+      `${shown.explorerWater ? ', dashed = water level' : ''}` +
+      `${shown.explorerShade ? ', shaded = early period of the season' : ''}; gray = other seasons`);
+  }
+
+  // hover: values of the picked seasons on the day under the pointer
+  svg.append('rect')
+    .attr('transform', `translate(${margin.left},${margin.top})`)
+    .attr('width', innerW)
+    .attr('height', innerH)
+    .attr('fill', 'none')
+    .style('pointer-events', 'all')
+    .on('mousemove', (event) => {
+      const day = Math.max(1, Math.min(maxDay, Math.round(x.invert(d3.pointer(event)[0]))));
+      hoverLine.style('display', null).attr('x1', x(day)).attr('x2', x(day));
+      const lines = (picked.length ? picked : years).map(y => {
+        const d = seasons.get(y).find(r => r.season_day === day);
+        if (!d) return `${y}: no data`;
+        return `<span style="color:${color(y)}">■</span> ${y}: ${d.temp_mean} °C (${d.temp_min} – ${d.temp_max}), water ${d.water_level ?? 'no data'}`;
+      });
+      tip.html(`<strong>${dayLabel.get(day) || `Day ${day}`}</strong><br>${lines.join('<br>')}`)
+        .style('display', null)
+        .style('left', `${event.pageX + 12}px`)
+        .style('top', `${event.pageY - 10}px`);
+    })
+    .on('mouseleave', () => {
+      hoverLine.style('display', 'none');
+      tip.style('display', 'none');
+    });
+
+  update();
+
+  return {
+    // overlay these seasons (years), e.g. from another view's selection
+    setSeasons(next) {
+      picked = next.filter(y => seasons.has(y)).sort((a, b) => a - b);
+      savePicks();
+      update();
+    },
+    seasons: () => picked.slice()
+  };
+}
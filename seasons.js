@@ -0,0 +1,20 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { loadDailyRows } from "./hunting-data.js";
+import { createSeasonExplorer } from "./season-explorer.js";
+
+// --- small contract ---
+// Inputs: the daily hunting-season CSV (through hunting-data.js)
+// Output: the season explorer (see season-explorer.js) in #season-explorer
+// Error modes: a failed load is reported in place of the chart
+
+const container = d3.select('#season-explorer');
+try {
+  const rows = await loadDailyRows();
+  createSeasonExplorer({ container, rows });
+} catch (err) {
+  console.error('Failed to load the daily data:', err);
+  container.append('p')
+    .style('color', '#b00')
+    .style('text-align', 'center')
+    .text(`Data unavailable: ${err.message}`);
+}
@@ -0,0 +1,198 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: points as { x, y } with finite numbers
+// Output: ordinary least squares fit with a 95% confidence band for the mean, LOESS smoothing,
+//         Pearson / Spearman correlation and the two-sided p-value of Pearson's r (t-test)
+// Error modes: every function returns null when the points cannot support it
+//              (fewer than 3 points, or no spread in x or y)
+
+// log of the gamma function (Lanczos approximation)
+function logGamma(z) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let x = z;
+  let y = z;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  c.forEach(ci => { ser += ci / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// continued fraction for the incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(a, b, x) {
+  const EPS = 3e-12;
+  const FPMIN = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a - 1 + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + 1 + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+// regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// two-sided tail probability of Student's t with `df` degrees of freedom
+export function studentTTwoSided(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// t such that P(|T| > t) = alpha, by bisection on the tail probability
+function studentTQuantile(alpha, df) {
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTTwoSided(mid, df) > alpha) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+export function pearson(points) {
+  const n = points.length;
+  if (n < 3) return null;
+  const mx = d3.mean(points, p => p.x);
+  const my = d3.mean(points, p => p.y);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  points.forEach(({ x, y }) => {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  });
+  if (!sxx || !syy) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// 1-based ranks, ties sharing their average rank
+function ranks(values) {
+  const order = d3.range(values.length).sort((a, b) => values[a] - values[b]);
+  const out = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) out[order[k]] = rank;
+    i = j + 1;
+  }
+  return out;
+}
+
+export function spearman(points) {
+  if (points.length < 3) return null;
+  const rx = ranks(points.map(p => p.x));
+  const ry = ranks(points.map(p => p.y));
+  return pearson(points.map((p, i) => ({ x: rx[i], y: ry[i] })));
+}
+
+// two-sided p-value for H0: no linear correlation, from Pearson's r over n points
+export function correlationPValue(r, n) {
+  if (r == null || n < 3) return null;
+  if (Math.abs(r) >= 1) return 0;
+  const df = n - 2;
+  return studentTTwoSided(r * Math.sqrt(df / (1 - r * r)), df);
+}
+
+// OLS fit y = intercept + slope * x, with band(x) = [low, high] of the 95% confidence
+// interval for the mean response at x
+export function linearRegression(points, level = 0.95) {
+  const n = points.length;
+  if (n < 3) return null;
+  const mx = d3.mean(points, p => p.x);
+  const my = d3.mean(points, p => p.y);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  points.forEach(({ x, y }) => {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  });
+  if (!sxx) return null;
+  const slope = sxy / sxx;
+  const intercept = my - slope * mx;
+  const predict = x => intercept + slope * x;
+  const sse = d3.sum(points, p => (p.y - predict(p.x)) ** 2);
+  const df = n - 2;
+  const s = Math.sqrt(sse / df);
+  const t = studentTQuantile(1 - level, df);
+  return {
+    n,
+    slope,
+    intercept,
+    r2: syy ? 1 - sse / syy : null,
+    predict,
+    band(x) {
+      const half = t * s * Math.sqrt(1 / n + (x - mx) ** 2 / sxx);
+      const y = predict(x);
+      return [y - half, y + half];
+    }
+  };
+}
+
+// LOESS: locally weighted linear fits (tricube weights over the nearest `bandwidth` share
+// of the points) evaluated at `steps` evenly spaced x values; returns [{ x, y }]
+export function loess(points, { bandwidth = 0.75, steps = 60 } = {}) {
+  const n = points.length;
+  if (n < 3) return null;
+  const [x0, x1] = d3.extent(points, p => p.x);
+  if (x0 === x1) return null;
+  const q = Math.min(n, Math.max(3, Math.ceil(bandwidth * n)));
+  return d3.range(steps + 1).map(i => {
+    const x = x0 + (x1 - x0) * i / steps;
+    const dist = points.map(p => Math.abs(p.x - x));
+    const maxDist = dist.slice().sort((a, b) => a - b)[q - 1] || 1e-12;
+    let sw = 0;
+    let swx = 0;
+    let swy = 0;
+    let swxx = 0;
+    let swxy = 0;
+    points.forEach((p, j) => {
+      const u = dist[j] / maxDist;
+      if (u >= 1) return;
+      const w = (1 - u ** 3) ** 3;
+      sw += w;
+      swx += w * p.x;
+      swy += w * p.y;
+      swxx += w * p.x * p.x;
+      swxy += w * p.x * p.y;
+    });
+    if (!sw) return { x, y: null };
+    const denom = sw * swxx - swx * swx;
+    // all neighbours at the same x: fall back to their weighted mean
+    if (Math.abs(denom) < 1e-12) return { x, y: swy / sw };
+    const b = (sw * swxy - swx * swy) / denom;
+    const a = (swy - b * swx) / sw;
+    return { x, y: a + b * x };
+  });
+}
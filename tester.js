@@ -1,91 +1,157 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
-let x = document.createElement("h3");
-x.innerText = "asdf";
-document.body.appendChild(x);
+import { addExportControl, exportFilename } from "./chart-export.js";
+import { addDataDownloadControl } from "./data-export.js";
+import { createDropdown } from "./dropdown.js";
+import { createViewState, bindCopyLink, remembered } from "./view-state.js";
+import { loadAnnualRows, annualFeatures, featureLabel } from "./hunting-data.js";
+import { createBarChart, SORTS, REFERENCES } from "./bar-chart.js";
+import { SOURCES, loadDailyAggregates, withRecomputedColumns, describeMismatches } from "./daily-aggregates.js";
 
-let rawData = await d3.csv("/data/annual_hunting_season_environmental_conditions.csv");
+// Annual rows with numbers parsed and missing values as null (see hunting-data.js)
+let rawData = await loadAnnualRows();
 
-let data = {};
-const columns = Object.keys(rawData[0]);
+// Alternative data source: the metrics derivable from the daily file recomputed from it (see
+// daily-aggregates.js), picked on the scatter page too; without the daily file only the annual one
+const annualData = rawData;
+let dailyAggregates = null;
+try {
+    dailyAggregates = await loadDailyAggregates();
+} catch (err) {
+    console.error("Failed to load the daily data:", err);
+}
+// The view (feature, sort order, reference line, source) is kept in the URL hash; a shared link
+// wins over what is remembered in localStorage
+const viewState = createViewState();
+const lsSource = viewState.initial.src ?? remembered('dataSource');
+let dataSource = (lsSource === 'daily' && dailyAggregates) ? 'daily' : 'annual';
 
-columns.forEach(column => {
-    data[column] = rawData.map(row => row[column]);
-});
+function pickRows() {
+    rawData = dataSource === 'daily' ? withRecomputedColumns(annualData, dailyAggregates.rows) : annualData;
+}
+pickRows();
 
-// Create SVG
-let currFeat = "leaf_drop_doy"
-const margin = {top: 40, right: 30, bottom: 60, left: 60};
-const width = 800 - margin.left - margin.right;
-const height = 500 - margin.top - margin.bottom;
+// Features worth a bar per year: everything but the year and the site coordinates
+const features = annualFeatures(annualData);
 
-// Create the SVG container
-const svg = d3.select("body")
-    .append("svg")
-    .attr("width", width + margin.left + margin.right)
-    .attr("height", height + margin.top + margin.bottom)
-    .append("g")
-    .attr("transform", `translate(${margin.left},${margin.top})`);
+// Feature, sort order and reference line, restored from localStorage by their dropdowns below
+let currFeat;
+let sortOrder;
+let reference;
 
-// Process data for the visualization
-let processedData = data.year.map((year, i) => ({
-    year: +year,
-    [currFeat]: +data[currFeat][i]  // Convert to number and use dynamic key name
-}));
+// The bar chart itself is shared with the dashboard (bar-chart.js)
+const chart = createBarChart({ container: d3.select("body") });
 
-// Create scales
-const xScale = d3.scaleBand()
-    .domain(processedData.map(d => d.year))
-    .range([0, width])
-    .padding(0.1);
+// Redraw the chart for the current feature, sort order and reference line
+function update(duration = 750) {
+    chart.update({ rows: rawData, feature: currFeat, sort: sortOrder, reference }, duration);
+    updateSourceNote();
+    viewState.save();
+}
 
-const yScale = d3.scaleLinear()
-    .domain([0, d3.max(processedData, d => d[currFeat])])
-    .range([height, 0]);
+// "Copy link" button for sharing this view, and the export control (SVG or PNG) above the chart;
+// the image carries the data source
+const exportControls = d3.select("body")
+    .insert("div", ":first-child")
+    .style("margin-bottom", "10px");
+const copyLinkButton = exportControls.append("button")
+    .attr("id", "copy-link")
+    .attr("type", "button")
+    .attr("title", "Copy a link that reopens this view")
+    .style("margin-right", "12px")
+    .text("Copy link");
+exportControls.append("label").text("Export chart: ");
+addExportControl(exportControls, () => ({
+    svg: chart.svg.node(),
+    caption: dataSource === 'daily'
+        ? "Source: annual hunting-season environmental conditions, with the temperature metrics recomputed from daily_hunting_season_environmental_conditions.csv"
+        : "Source: annual hunting-season environmental conditions (annual_hunting_season_environmental_conditions.csv)",
+    filename: exportFilename(currFeat, "by year", dataSource === 'daily' && "daily")
+}));
+// ...and the bars' data, in the order shown
+addDataDownloadControl(exportControls, () => ({
+    rows: chart.orderedRows(),
+    columns: ["year", currFeat],
+    filename: exportFilename(currFeat, "by year", dataSource === 'daily' && "daily")
+}));
 
-// Create and add the bars
-svg.selectAll("rect")
-    .data(processedData)
-    .enter()
-    .append("rect")
-    .attr("x", d => xScale(d.year))
-    .attr("y", d => yScale(d[currFeat]))
-    .attr("width", xScale.bandwidth())
-    .attr("height", d => height - yScale(d[currFeat]))
-    .attr("fill", "steelblue");
+// Data source picker; switching redraws the bars from the other table
+const sourceControls = d3.select("body")
+    .insert("div", ":first-child")
+    .style("margin-bottom", "10px");
+createDropdown(sourceControls, {
+    label: "Data source",
+    className: "data-source-dropdown",
+    options: SOURCES.map(s => ({ ...s, disabled: s.key === 'daily' && !dailyAggregates })),
+    value: dataSource,
+    onChange: setSource
+});
+const sourceNote = sourceControls.append("span")
+    .style("margin-left", "10px")
+    .style("font-size", "12px")
+    .style("color", "#555");
 
-// Add the X axis
-svg.append("g")
-    .attr("transform", `translate(0,${height})`)
-    .call(d3.axisBottom(xScale))
-    .selectAll("text")
-    .style("text-anchor", "end")
-    .attr("dx", "-.8em")
-    .attr("dy", ".15em")
-    .attr("transform", "rotate(-45)");
+function updateSourceNote() {
+    const note = dataSource === 'daily'
+        ? describeMismatches(dailyAggregates.mismatches, currFeat, rawData.length) ||
+            `${featureLabel(currFeat)} is not recomputed from the daily file`
+        : "";
+    sourceNote.text(note);
+}
 
-// Add the Y axis
-svg.append("g")
-    .call(d3.axisLeft(yScale));
+function setSource(source) {
+    dataSource = source;
+    try {
+        localStorage.setItem('dataSource', dataSource);
+    } catch (e) {
+        // ignore storage errors
+    }
+    pickRows();
+    update();
+}
 
-// Add X axis label
-svg.append("text")
-    .attr("x", width / 2)
-    .attr("y", height + margin.bottom - 10)
-    .style("text-anchor", "middle")
-    .text("Year");
+// A remembered dropdown above the ones created before it
+function addDropdown(options) {
+    const dropdownContainer = d3.select("body")
+        .insert("div", ":first-child")
+        .style("margin-bottom", "10px");
+    return createDropdown(dropdownContainer, options);
+}
+
+// Created bottom-up: each one is inserted above the previous; a shared link's choice wins over the
+// remembered one
+reference = addDropdown({
+    label: "Reference line",
+    className: "reference-line-dropdown",
+    options: REFERENCES,
+    value: "none",
+    shared: viewState.initial.ref,
+    storageKey: 'barRef',
+    onChange: value => { reference = value; update(); }
+});
+sortOrder = addDropdown({
+    label: "Sort by",
+    className: "sort-by-dropdown",
+    options: SORTS,
+    value: "year",
+    shared: viewState.initial.sort,
+    storageKey: 'barSort',
+    onChange: value => { sortOrder = value; update(); }
+});
+currFeat = addDropdown({
+    label: "Select feature",
+    className: "select-feature-dropdown",
+    options: features,
+    value: "leaf_drop_doy",
+    shared: viewState.initial.feat,
+    storageKey: 'barFeat',
+    onChange: value => { currFeat = value; update(); }
+});
 
-// Add Y axis label
-svg.append("text")
-    .attr("transform", "rotate(-90)")
-    .attr("y", -margin.left + 20)
-    .attr("x", -(height / 2))
-    .style("text-anchor", "middle")
-    .text(`${currFeat}`);
+viewState.field("feat", { get: () => currFeat });
+viewState.field("sort", { get: () => (sortOrder === "year" ? null : sortOrder) });
+viewState.field("ref", { get: () => (reference === "none" ? null : reference) });
+viewState.field("src", { get: () => (dataSource === 'annual' ? null : dataSource) });
 
-// Add title
-svg.append("text")
-    .attr("x", width / 2)
-    .attr("y", -margin.top / 2)
-    .style("text-anchor", "middle")
-    .style("font-size", "16px")
-    .text(`${currFeat} by Year`);
\ No newline at end of file
+update(0);
+viewState.restore();
+bindCopyLink(copyLinkButton, viewState);
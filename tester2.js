@@ -1,49 +1,148 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
-
-// Load and process the data
-let rawData = await d3.csv("./data/annual_hunting_season_environmental_conditions.csv");
-
-// local
-// let rawData = await d3.csv("/data/annual_hunting_season_environmental_conditions.csv");
-
-
-
-// Get available features from data
-const features = Object.keys(rawData[0]);
-
-// Restore last selections from localStorage (fallback to defaults if absent or invalid)
+import { createViewState, bindCopyLink, remembered } from "./view-state.js";
+import { addExportControl, exportFilename } from "./chart-export.js";
+import { addDataDownloadControl } from "./data-export.js";
+import { linearRegression, loess, pearson, spearman, correlationPValue } from "./stats.js";
+import { createDropdown } from "./dropdown.js";
+import { loadAnnualRows, annualFeatures } from "./hunting-data.js";
+import { createScatterChart } from "./scatter-chart.js";
+import { SOURCES, AGGREGATES, loadDailyAggregates, withRecomputedColumns, describeMismatches } from "./daily-aggregates.js";
+
+// Load the annual rows (numbers parsed, missing values as null; see hunting-data.js)
+let rawData = await loadAnnualRows();
+
+// Features to plot: the year and every measured column
+const features = ["year", ...annualFeatures(rawData)];
+
+// Restore last selections from the URL hash of a shared link, else from localStorage
+// (fallback to defaults if absent or invalid)
 const DEFAULTS = { x: 'year', y: 'leaf_drop_doy' };
-const lsX = localStorage.getItem('xFeat');
-const lsY = localStorage.getItem('yFeat');
+const viewState = createViewState();
+const lsX = viewState.initial.x ?? remembered('xFeat');
+const lsY = viewState.initial.y ?? remembered('yFeat');
 const savedXFeat = (lsX && features.includes(lsX)) ? lsX : DEFAULTS.x;
 const savedYFeat = (lsY && features.includes(lsY)) ? lsY : DEFAULTS.y;
 
-// Function to create a dropdown for axis feature selection
-function createDropdown(axis, defaultValue) {
+// Alternative data source: the same table with the metrics derivable from the daily file
+// recomputed from it (see daily-aggregates.js); without the daily file only the annual one is offered
+const annualData = rawData;
+let dailyAggregates = null;
+try {
+    dailyAggregates = await loadDailyAggregates();
+} catch (err) {
+    console.error("Failed to load the daily data:", err);
+}
+const lsSource = viewState.initial.src ?? remembered('dataSource');
+let dataSource = (lsSource === 'daily' && dailyAggregates) ? 'daily' : 'annual';
+const sourceRows = source => (source === 'daily' ? withRecomputedColumns(annualData, dailyAggregates.rows) : annualData);
+rawData = sourceRows(dataSource);
+
+// Function to create a dropdown for axis feature selection (persisted by updateFeature, since
+// the URL hash wins over localStorage on load)
+function createAxisDropdown(axis, defaultValue) {
     const dropdownContainer = d3.select("body")
         .insert("div", ":first-child")
         .style("margin-bottom", "10px");
+    createDropdown(dropdownContainer, {
+        label: `Select ${axis}-axis feature`,
+        className: `${axis}-axis-dropdown`,
+        options: features,
+        value: defaultValue,
+        onChange: value => updateFeature(value, axis)
+    });
+}
 
-    dropdownContainer.append("label")
-        .text(`Select ${axis}-axis feature: `)
-        .style("margin-right", "10px");
-
-    const dropdown = dropdownContainer.append("select")
-        .attr("class", `${axis}-axis-dropdown`)
-        .on("change", function() { updateFeature(this.value, axis); });
-
-    dropdown.selectAll("option")
-        .data(features)
-        .enter()
-        .append("option")
-        .text(d => d.replace(/_/g, " "))
-        .attr("value", d => d)
-        .property("selected", d => d === defaultValue);
+// Trend overlay toggles (regression line + confidence band, LOESS curve, stats box), taken from
+// the URL hash or else localStorage like the features; computed from the points in view (below
+// the share controls)
+const trendOptions = [
+    { key: "showRegression", param: "regression", label: "Linear regression (95% CI)" },
+    { key: "showLoess", param: "loess", label: "LOESS" },
+    { key: "showStats", param: "stats", label: "Stats" }
+];
+const trendShown = {};
+const sharedTrends = viewState.initial.trend == null ? null : viewState.initial.trend.split(",");
+trendOptions.forEach(o => {
+    trendShown[o.key] = sharedTrends ? sharedTrends.includes(o.param) : remembered(o.key) === "1";
+});
+const trendControls = d3.select("body")
+    .insert("div", ":first-child")
+    .style("margin-bottom", "10px");
+trendOptions.forEach(o => {
+    const label = trendControls.append("label").style("margin-right", "12px");
+    label.append("input")
+        .attr("type", "checkbox")
+        .attr("class", `trend-toggle ${o.key}`)
+        .property("checked", trendShown[o.key])
+        .on("change", function() {
+            trendShown[o.key] = this.checked;
+            try {
+                localStorage.setItem(o.key, this.checked ? "1" : "0");
+            } catch (e) {
+                // ignore storage errors
+            }
+            updateTrend();
+            viewState.save();
+        });
+    label.append("span").text(` ${o.label}`);
+});
+
+// "Copy link" button for sharing the current features and zoom, and the export control
+// (below the dropdowns)
+const shareControls = d3.select("body")
+    .insert("div", ":first-child")
+    .style("margin-bottom", "10px");
+const copyLinkButton = shareControls.append("button")
+    .attr("id", "copy-link")
+    .attr("type", "button")
+    .attr("title", "Copy a link that reopens this view")
+    .text("Copy link");
+
+// Data source picker with a note on how the recomputed features compare with the annual file
+// (below the dropdowns)
+const sourceControls = d3.select("body")
+    .insert("div", ":first-child")
+    .style("margin-bottom", "10px");
+createDropdown(sourceControls, {
+    label: "Data source",
+    className: "data-source-dropdown",
+    options: SOURCES.map(s => ({ ...s, disabled: s.key === 'daily' && !dailyAggregates })),
+    value: dataSource,
+    onChange: setSource
+});
+const sourceNote = sourceControls.append("span")
+    .attr("class", "data-source-note")
+    .style("margin-left", "10px")
+    .style("font-size", "12px")
+    .style("color", "#555");
+
+function updateSourceNote() {
+    if (dataSource !== 'daily') {
+        sourceNote.text("").attr("title", null);
+        return;
+    }
+    const notes = Array.from(new Set([xFeat, yFeat]))
+        .map(f => describeMismatches(dailyAggregates.mismatches, f, rawData.length))
+        .filter(Boolean);
+    sourceNote
+        .text(notes.length ? notes.join("; ") : "neither feature is recomputed from the daily file")
+        .attr("title", AGGREGATES.filter(a => a.offered).map(a => `${a.key}: ${a.description}`).join("\n"));
+}
+
+function setSource(source) {
+    dataSource = source;
+    try {
+        localStorage.setItem('dataSource', dataSource);
+    } catch (e) {
+        // ignore storage errors
+    }
+    rawData = sourceRows(dataSource);
+    redraw();
 }
 
 // Create dropdowns for both axes using restored selections
-createDropdown("y", savedYFeat);
-createDropdown("x", savedXFeat);
+createAxisDropdown("y", savedYFeat);
+createAxisDropdown("x", savedXFeat);
 
 // Configure which variables to plot (using restored selections)
 let xFeat = savedXFeat;
@@ -67,267 +166,31 @@ function updateFeature(value, axis) {
     } catch (e) {
         // ignore storage errors
     }
-    
-    // Update processed data
-    processedData = rawData.map(d => ({
-        x: +d[xFeat],
-        y: +d[yFeat],
-        year: +d.year
-    }));
-
-    // Update scales
-    const min = d3.min(processedData, d => axis === 'x' ? d.x : d.y);
-    const max = d3.max(processedData, d => axis === 'x' ? d.x : d.y);
-    const padding = 1;  // One unit padding
-    
-    if (axis === 'x') {
-        // Update x scale with new domain
-        xScale.domain([min - padding, max + padding]);
-        originalXDomain = xScale.domain().map(d => d);
-
-        // Update x-axis (disable transition for discrete 'year' ticks to prevent teleport)
-        const buildXAxis = () => {
-            const ax = d3.axisBottom(xScale);
-            if (xFeat === 'year') {
-                ax.tickFormat(d3.format('d')).tickValues(allYears);
-            } else {
-                ax.ticks(10);
-            }
-            return ax;
-        };
-        if (xFeat === 'year') {
-            svg.select(".x-axis")
-                .call(buildXAxis())
-                .selectAll("text")
-                .style("text-anchor", "middle");
-        } else {
-            svg.select(".x-axis")
-                .transition()
-                .duration(750)
-                .call(buildXAxis())
-                .selectAll("text")
-                .style("text-anchor", "middle");
-        }
-
-        // Update x-axis label
-        svg.select(".x-axis-label")
-            .text(xFeat.replace(/_/g, " "));
-    } else {
-        // Update y scale with new domain
-        yScale.domain([min - padding, max + padding]).nice();
-        originalYDomain = yScale.domain().map(d => d);
-        initialYTicks = yScale.ticks(10);
-
-        // Update y-axis (disable transition for discrete 'year' ticks to prevent teleport)
-        const buildYAxis = () => {
-            const ay = d3.axisLeft(yScale).tickValues(initialYTicks);
-            if (yFeat === 'year') {
-                ay.tickFormat(d3.format('d'));
-            }
-            return ay;
-        };
-        if (yFeat === 'year') {
-            svg.select(".y-axis")
-                .call(buildYAxis())
-                .selectAll(".tick text")
-                .style("opacity", function(d) {
-                    return (d === originalYDomain[0] || d === originalYDomain[1]) ? 0 : 1;
-                });
-        } else {
-            // Pre-hide first/last tick labels for the new domain before transition
-            const yAxisG = svg.select(".y-axis");
-            const dom = yScale.domain();
-            yAxisG.selectAll(".tick text")
-                .style("opacity", function(d) {
-                    return (Math.abs(d - dom[0]) < 1e-10 || Math.abs(d - dom[1]) < 1e-10) ? 0 : 1;
-                });
-
-            yAxisG
-                .transition()
-                .duration(750)
-                .call(buildYAxis())
-                .selectAll(".tick text")
-                .style("opacity", function(d) {
-                    return (d === originalYDomain[0] || d === originalYDomain[1]) ? 0 : 1;
-                });
-        }
-
-        // Update y-axis label
-        svg.select(".y-axis-label")
-            .text(yFeat.replace(/_/g, " "));
-    }
-
-    // Update title with transition
-    svg.select(".plot-title")
-        .transition()
-        .duration(750)
-        .text(`${yFeat.replace(/_/g, " ")} vs ${xFeat.replace(/_/g, " ")}`);
-
-    // Rebind updated data and update points with transition (DRY and robust)
-    plotArea.selectAll(".point")
-        .data(processedData, d => d.year)
-        .transition()
-        .duration(750)
-        .attr("cx", d => xScale(d.x))
-        .attr("cy", d => yScale(d.y))
-        .style("opacity", 0.7);
-
-    interactionArea.selectAll(".interaction-point")
-        .data(processedData, d => d.year)
-        .transition()
-        .duration(750)
-        .attr("cx", d => xScale(d.x))
-        .attr("cy", d => yScale(d.y));
+    redraw();
 }
 
-// Process the data
-let processedData = rawData.map(d => ({
-    x: +d[xFeat],
-    y: +d[yFeat],
-    year: +d.year  // We'll use this for tooltips
-}));
+// Plot the current features from the current source (over the whole data again)
+function redraw() {
+    chart.setData(rawData, xFeat, yFeat);
+    updateTrend();
+    updateSourceNote();
+    viewState.save();
+}
 
 // Set the dimensions and margins of the graph
 const margin = {top: 40, right: 30, bottom: 60, left: 60};
 const width = 800 - margin.left - margin.right;
 const height = 500 - margin.top - margin.bottom;
 
-// Create the SVG container
-const svg = d3.select("body")
-    .append("svg")
-    .attr("width", width + margin.left + margin.right)
-    .attr("height", height + margin.top + margin.bottom)
-    .append("g")
-    .attr("transform", `translate(${margin.left},${margin.top})`);
-
-// Add a background rect to capture mouse events (placed behind the plot and interaction layers)
-svg.append("rect")
-    .attr("class", "background")
-    .attr("width", width)
-    .attr("height", height)
-    .style("fill", "none")
-    .style("pointer-events", "all");
-
-// Define clip path
-svg.append("defs")
-    .append("clipPath")
-    .attr("id", "plot-area")
-    .append("rect")
-    .attr("width", width)
-    .attr("height", height)
-    .attr("x", 0)
-    .attr("y", 0);
-
-// Create a group for the plot area that uses the clip path
-const plotArea = svg.append("g")
-    .attr("clip-path", "url(#plot-area)");
-
-// Create a group for interactive elements (not clipped)
-const interactionArea = svg.append("g");
-
-// Create scales with better fit
-const xMin = d3.min(processedData, d => d.x);
-const xMax = d3.max(processedData, d => d.x);
-const yMin = d3.min(processedData, d => d.y);
-const yMax = d3.max(processedData, d => d.y);
-
-// Calculate padding (one unit in each direction)
-const xPadding = 1;  // One year padding
-const yPadding = 1;  // One unit padding
-
-// Store original domains for reset functionality
-let originalXDomain = [xMin - xPadding, xMax + xPadding].map(d => d);
-let originalYDomain; // will be set after yScale.nice() so it matches the rendered (nicified) domain
-
-// (background rect moved earlier so it does not block interaction layers)
-
-const xScale = d3.scaleLinear()
-    .domain([xMin - xPadding, xMax + xPadding])  // Add one year padding on each side
-    .range([0, width]);
-
-const yScale = d3.scaleLinear()
-    .domain([yMin - yPadding, yMax + yPadding])  // Add one unit padding on each side
-    .nice() // This will round the domain to nice round numbers
-    .range([height, 0]);
-
-// After applying .nice(), store the actual rendered domain as the original domain
-originalYDomain = yScale.domain().map(d => d);
-
-// Store the original number of ticks that D3 generates for this scale and the exact tick values
-const originalTickCount = yScale.ticks(10).length;
-let initialYTicks = yScale.ticks(10);
-
-// Add X axis with no comma formatting
-const allYears = rawData.map(d => +d.year);  // Year values for discrete ticks when xFeat === 'year'
-svg.append("g")
-    .attr("class", "axis x-axis")
-    .attr("transform", `translate(0,${height})`)
-    .call((() => {
-        const ax = d3.axisBottom(xScale);
-        if (xFeat === 'year') {
-            ax.tickFormat(d3.format('d')).tickValues(allYears); // Use exact years as tick values
-        } else {
-            ax.ticks(10);
-        }
-        return ax;
-    })())
-    .selectAll("text")
-    .style("text-anchor", "middle");
-
-// Add Y axis using initial unzoomed tick values
-svg.append("g")
-    .attr("class", "axis y-axis")
-    .call((() => {
-        const ay = d3.axisLeft(yScale).tickValues(initialYTicks);
-        if (yFeat === 'year') {
-            ay.tickFormat(d3.format('d'));
-        }
-        return ay;
-    })())
-    .selectAll(".tick text")
-    .style("opacity", function(d) {
-        // Hide first and last ticks using original (nicified) domain
-        return (d === originalYDomain[0] || d === originalYDomain[1]) ? 0 : 1;
-    });
-
-// Add X axis label
-svg.append("text")
-    .attr("class", "x-axis-label")
-    .attr("x", width / 2)
-    .attr("y", height + margin.bottom - 10)
-    .style("text-anchor", "middle")
-    .text(xFeat.replace(/_/g, " "));
-
-// Add Y axis label
-svg.append("text")
-    .attr("class", "y-axis-label")
-    .attr("transform", "rotate(-90)")
-    .attr("y", -margin.left + 20)
-    .attr("x", -(height / 2))
-    .style("text-anchor", "middle")
-    .text(yFeat.replace(/_/g, " "));
-
-// Add title
-svg.append("text")
-    .attr("class", "plot-title")  // Add a class for reliable selection
-    .attr("x", width / 2)
-    .attr("y", -margin.top / 2)
-    .style("text-anchor", "middle")
-    .style("font-size", "16px")
-    .text(`${yFeat.replace(/_/g, " ")} vs ${xFeat.replace(/_/g, " ")}`);
-
-// Create a tooltip div
-const tooltip = d3.select("body").append("div")
-    .style("position", "absolute")
-    .style("visibility", "hidden")
-    .style("background-color", "white")
-    .style("border", "solid")
-    .style("border-width", "1px")
-    .style("border-radius", "5px")
-    .style("padding", "10px");
+// The scatter itself (axes, points, tooltip) is shared with the dashboard (scatter-chart.js);
+// this page adds the zoom box, the trend overlay and the shared-link state on top
+const chart = createScatterChart({ container: d3.select("body"), width, height, margin });
+const svg = chart.plot;
+const { xScale, yScale, plotArea } = chart;
+chart.setData(rawData, xFeat, yFeat, 0);
 
 // Create a rect for the drag selection
-svg.append("rect")
+const selectionBox = svg.append("rect")
     .attr("class", "selection")
     .style("visibility", "hidden")
     .style("fill", "#69b3a2")
@@ -339,12 +202,12 @@ svg.append("rect")
 // Variables to store drag start position
 let dragStart = { x: 0, y: 0 };
 
-// Create drag behavior
+// Drag a box to zoom into it; a click zooms back out when zoomed in
 const drag = d3.drag()
     .on("start", function(event) {
         dragStart.x = event.x;
         dragStart.y = event.y;
-        d3.select(".selection")
+        selectionBox
             .style("visibility", "visible")
             .attr("x", dragStart.x)
             .attr("y", dragStart.y)
@@ -357,312 +220,171 @@ const drag = d3.drag()
         const width = Math.abs(event.x - dragStart.x);
         const height = Math.abs(event.y - dragStart.y);
 
-        d3.select(".selection")
+        selectionBox
             .attr("x", x)
             .attr("y", y)
             .attr("width", width)
             .attr("height", height);
     })
-    .on("end", function(event) {
+    .on("end", function() {
         // Get the coordinates of the selection box
-        const selection = d3.select(".selection");
-        const x1 = +selection.attr("x");
-        const x2 = x1 + +selection.attr("width");
-        const y1 = +selection.attr("y");
-        const y2 = y1 + +selection.attr("height");
+        const x1 = +selectionBox.attr("x");
+        const x2 = x1 + +selectionBox.attr("width");
+        const y1 = +selectionBox.attr("y");
+        const y2 = y1 + +selectionBox.attr("height");
+        selectionBox.style("visibility", "hidden");
 
-        // Calculate the width and height of selection
-        const width = Math.abs(x2 - x1);
-        const height = Math.abs(y2 - y1);
-
-        if (width <= 5 && height <= 5) {
+        if (x2 - x1 <= 5 && y2 - y1 <= 5) {
             // Single click - only reset if the view is currently zoomed
-            const eps = 1e-10;
-            const curX = xScale.domain();
-            const curY = yScale.domain();
-            const atOriginalX = Math.abs(curX[0] - originalXDomain[0]) < eps && Math.abs(curX[1] - originalXDomain[1]) < eps;
-            const atOriginalY = Math.abs(curY[0] - originalYDomain[0]) < eps && Math.abs(curY[1] - originalYDomain[1]) < eps;
-
-            // If already at original (not zoomed), do nothing on click
-            if (atOriginalX && atOriginalY) {
-                // Hide selection box and exit without changing axes or animating
-                selection.style("visibility", "hidden");
-                return;
-            }
-
-            // Otherwise, reset domains to original and animate or update immediately below
-            xScale.domain(originalXDomain);
-            yScale.domain(originalYDomain);
-
-            if (!atOriginalX || !atOriginalY) {
-                // Use transitions to animate back to original view
-                // Reset x-axis; avoid transition for 'year' to prevent teleport
-                const buildXAxisReset = () => {
-                    const ax = d3.axisBottom(xScale);
-                    if (xFeat === 'year') {
-                        ax.tickFormat(d3.format('d')).tickValues(allYears);
-                    } else {
-                        ax.ticks(10);
-                    }
-                    return ax;
-                };
-                if (xFeat === 'year') {
-                    svg.select(".x-axis")
-                        .call(buildXAxisReset())
-                        .selectAll("text")
-                        .style("text-anchor", "middle");
-                } else {
-                    svg.select(".x-axis")
-                        .transition()
-                        .duration(750)
-                        .call(buildXAxisReset())
-                        .selectAll("text")
-                        .style("text-anchor", "middle");
-                }
-
-                // Reset y-axis; avoid transition for 'year' to prevent teleport
-                const buildYAxisReset = () => {
-                    const ay = d3.axisLeft(yScale).tickValues(initialYTicks);
-                    if (yFeat === 'year') {
-                        ay.tickFormat(d3.format('d'));
-                    }
-                    return ay;
-                };
-                if (yFeat === 'year') {
-                    const ySel = svg.select(".y-axis").call(buildYAxisReset());
-                    // Immediately update tick opacity
-                    ySel.selectAll(".tick text")
-                        .style("opacity", function(d) {
-                            const domain = yScale.domain();
-                            return (d === domain[0] || d === domain[1]) ? 0 : 1;
-                        });
-                } else {
-                    // Pre-hide first/last tick labels for the new domain before transition
-                    const yAxisG = svg.select(".y-axis");
-                    const dom = yScale.domain();
-                    yAxisG.selectAll(".tick text")
-                        .style("opacity", function(d) {
-                            return (Math.abs(d - dom[0]) < 1e-10 || Math.abs(d - dom[1]) < 1e-10) ? 0 : 1;
-                        });
-
-                    yAxisG
-                        .transition()
-                        .duration(750)
-                        .call(buildYAxisReset())
-                        .on("end", function() {
-                            // After transition, reset opacity for all tick texts
-                            d3.select(this)
-                                .selectAll(".tick text")
-                                .style("opacity", function(d) {
-                                    const domain = yScale.domain();
-                                    return (d === domain[0] || d === domain[1]) ? 0 : 1;
-                                });
-                        });
-                }
-
-                // Animate points as before
-                plotArea.selectAll(".point")
-                    .transition()
-                    .duration(750)
-                    .attr("cx", d => xScale(d.x))
-                    .attr("cy", d => yScale(d.y))
-                    .attr("r", 5)
-                    .style("opacity", 0.7)
-                    .style("pointer-events", "none");
-
-                interactionArea.selectAll(".interaction-point")
-                    .transition()
-                    .duration(750)
-                    .attr("cx", d => xScale(d.x))
-                    .attr("cy", d => yScale(d.y))
-                    .attr("r", 8)
-                    .style("pointer-events", "all");
-            } else {
-                // Already at original view: set axes and points immediately without animation
-                svg.select(".x-axis")
-                    .call((() => {
-                        const ax = d3.axisBottom(xScale);
-                        if (xFeat === 'year') {
-                            ax.tickFormat(d3.format('d')).tickValues(allYears);
-                        } else {
-                            ax.ticks(10);
-                        }
-                        return ax;
-                    })())
-                    .selectAll("text")
-                    .style("text-anchor", "middle");
-
-                svg.select(".y-axis")
-                    .call((() => {
-                        const ay = d3.axisLeft(yScale).tickValues(initialYTicks);
-                        if (yFeat === 'year') {
-                            ay.tickFormat(d3.format('d'));
-                        }
-                        return ay;
-                    })());
-
-                svg.select(".y-axis")
-                    .selectAll(".tick text")
-                    .style("opacity", function(d) {
-                        const domain = yScale.domain();
-                        return (d === domain[0] || d === domain[1]) ? 0 : 1;
-                    });
-
-                plotArea.selectAll(".point")
-                    .attr("cx", d => xScale(d.x))
-                    .attr("cy", d => yScale(d.y))
-                    .attr("r", 5)
-                    .style("opacity", 0.7)
-                    .style("pointer-events", "none");
-
-                interactionArea.selectAll(".interaction-point")
-                    .attr("cx", d => xScale(d.x))
-                    .attr("cy", d => yScale(d.y))
-                    .attr("r", 8)
-                    .style("pointer-events", "all");
-            }
-        } else {
-            // Drag selection - zoom to selection area
-            const newXDomain = [xScale.invert(x1), xScale.invert(x2)];
-            const newYDomain = [yScale.invert(y2), yScale.invert(y1)]; // Reverse Y because SVG coordinates
-            xScale.domain(newXDomain);
-            yScale.domain(newYDomain).nice();  // Make the domain nice for better tick values
-
-            // For zoom, only show years in view
-            const yearsInView = processedData
-                .filter(d => d.x >= newXDomain[0] && d.x <= newXDomain[1])
-                .map(d => d.x);
-
-            // Update X axis for zoom; avoid transition for 'year' to prevent teleport
-            const buildXAxisZoom = () => {
-                const ax = d3.axisBottom(xScale);
-                if (xFeat === 'year') {
-                    ax.tickFormat(d3.format('d')).tickValues(yearsInView);
-                } else {
-                    ax.ticks(10);
-                }
-                return ax;
-            };
-            if (xFeat === 'year') {
-                svg.select(".x-axis")
-                    .call(buildXAxisZoom())
-                    .selectAll("text")
-                    .style("text-anchor", "middle");
-            } else {
-                svg.select(".x-axis")
-                    .transition()
-                    .duration(750)
-                    .call(buildXAxisZoom())
-                    .selectAll("text")  // Select all tick labels
-                    .style("text-anchor", "middle");
-            }
-        }
-
-        // Update Y axis; avoid transition for 'year' to prevent teleport
-        const buildYAxisZoom = () => {
-            const ay = d3.axisLeft(yScale).ticks(10);
-            if (yFeat === 'year') {
-                ay.tickFormat(d3.format('d'));
-            }
-            return ay;
-        };
-        if (yFeat === 'year') {
-            const ySel = svg.select(".y-axis").call(buildYAxisZoom());
-            // Immediately update tick visibility
-            ySel.selectAll(".tick text")
-                .style("opacity", function(d) {
-                    const domain = yScale.domain();
-                    return (Math.abs(d - domain[0]) < 1e-10 || Math.abs(d - domain[1]) < 1e-10) ? 0 : 1;
-                });
+            if (!chart.isZoomed()) return;
+            chart.reset();
         } else {
-            // Pre-hide first/last tick labels for the new domain before transition
-            const yAxisG = svg.select(".y-axis");
-            const dom = yScale.domain();
-            yAxisG.selectAll(".tick text")
-                .style("opacity", function(d) {
-                    return (Math.abs(d - dom[0]) < 1e-10 || Math.abs(d - dom[1]) < 1e-10) ? 0 : 1;
-                });
-
-            yAxisG
-                .transition()
-                .duration(750)
-                .call(buildYAxisZoom())
-                .on("end", function() {
-                    // After transition completes, update tick visibility
-                    d3.select(this)
-                        .selectAll(".tick text")
-                        .style("opacity", function(d) {
-                            const domain = yScale.domain();
-                            return (Math.abs(d - domain[0]) < 1e-10 || Math.abs(d - domain[1]) < 1e-10) ? 0 : 1;
-                        });
-                });
+            // Drag selection - zoom to selection area (y reversed because of SVG coordinates),
+            // rounding the y domain for better tick values
+            chart.zoomTo([xScale.invert(x1), xScale.invert(x2)], [yScale.invert(y2), yScale.invert(y1)], { nice: true });
         }
-
-        // Update both sets of points with transition
-        plotArea.selectAll(".point")
-            .transition()
-            .duration(750)
-            .attr("cx", d => xScale(d.x))
-            .attr("cy", d => yScale(d.y))
-            .style("opacity", 0.7);
-            
-        interactionArea.selectAll(".interaction-point")
-            .transition()
-            .duration(750)
-            .attr("cx", d => xScale(d.x))
-            .attr("cy", d => yScale(d.y));
-
-        // Hide the selection box
-        selection.style("visibility", "hidden");
+        updateTrend();
+        viewState.save();
     });
 
-// Add the drag behavior to the background rect
-svg.select(".background").call(drag);
-
-// Add the visible scatter points (clipped)
-plotArea.selectAll(".point")
-    .data(processedData)
-    .enter()
-    .append("circle")
-    .attr("class", "point")
-    .attr("data-year", d => d.year)
-    .attr("cx", d => xScale(d.x))
-    .attr("cy", d => yScale(d.y))
-    .attr("r", 5)
-    .style("fill", "steelblue")
-    .style("opacity", 0.7);
-
-// Add invisible interactive circles (not clipped, used for hover detection)
-interactionArea.selectAll(".interaction-point")
-    .data(processedData)
-    .enter()
-    .append("circle")
-    .attr("class", "interaction-point")
-    .attr("data-year", d => d.year)
-    .attr("cx", d => xScale(d.x))
-    .attr("cy", d => yScale(d.y))
-    .attr("r", 8) // larger target for easier hovering
-    .style("fill", "transparent")
+// The zoom box is drawn on a background under the points
+chart.underlay.append("rect")
+    .attr("class", "background")
+    .attr("width", width)
+    .attr("height", height)
+    .style("fill", "none")
     .style("pointer-events", "all")
-    // Add hover effects (single set of handlers)
-    .on("mouseover", function(event, d) {
-        // Show tooltip for this point; do not change marker size
-        const sel = plotArea.selectAll(".point").filter(pd => pd.year === d.year);
-        // ensure visible point is on top for clarity (no size change)
-        sel.raise();
-        sel.style("opacity", 1);
-        tooltip
-            .style("visibility", "visible")
-            .html(`Year: ${d.year}<br/>${xFeat}: ${d.x}<br/>${yFeat}: ${d.y}`);
-    })
-    .on("mousemove", function(event) {
-        tooltip
-            .style("top", (event.pageY - 10) + "px")
-            .style("left", (event.pageX + 10) + "px");
-    })
-    .on("mouseout", function(event, d) {
-        const sel = plotArea.selectAll(".point").filter(pd => pd.year === d.year);
-        // restore opacity only, leave radius unchanged
-        sel.style("opacity", 0.7);
-        tooltip.style("visibility", "hidden");
-    });
+    .call(drag);
+
+// Show the given zoom domains immediately (used when restoring a shared link)
+function showZoomedDomains(xDomain, yDomain) {
+    chart.zoomTo(xDomain, yDomain, { duration: 0 });
+    updateTrend();
+}
+
+// Trend overlay: drawn under the points inside the clip path, from the points in view only,
+// so zooming into a range of years shows the relationship within that range
+const trendArea = plotArea.insert("g", ":first-child")
+    .attr("class", "trend")
+    .style("pointer-events", "none");
+const statsBox = svg.append("g")
+    .attr("class", "stats-box")
+    .attr("transform", "translate(8,8)")
+    .style("pointer-events", "none");
+
+function pointsInView() {
+    const [x0, x1] = xScale.domain();
+    const [y0, y1] = yScale.domain();
+    return chart.points()
+        .filter(d => d.x >= x0 && d.x <= x1 && d.y >= y0 && d.y <= y1);
+}
+
+function updateTrend() {
+    const points = pointsInView();
+    const fit = linearRegression(points);
+    const [xMinView, xMaxView] = d3.extent(points, d => d.x);
+    const xs = fit ? d3.range(41).map(i => xMinView + (xMaxView - xMinView) * i / 40) : [];
+
+    trendArea.selectAll("path.ci-band")
+        .data(trendShown.showRegression && fit ? [xs] : [])
+        .join("path")
+        .attr("class", "ci-band")
+        .attr("fill", "#d62728")
+        .attr("fill-opacity", 0.15)
+        .attr("d", d3.area()
+            .x(x => xScale(x))
+            .y0(x => yScale(fit.band(x)[0]))
+            .y1(x => yScale(fit.band(x)[1])));
+    trendArea.selectAll("path.regression-line")
+        .data(trendShown.showRegression && fit ? [xs] : [])
+        .join("path")
+        .attr("class", "regression-line")
+        .attr("fill", "none")
+        .attr("stroke", "#d62728")
+        .attr("stroke-width", 2)
+        .attr("d", d3.line().x(x => xScale(x)).y(x => yScale(fit.predict(x))));
+
+    const smooth = trendShown.showLoess ? loess(points) : null;
+    trendArea.selectAll("path.loess-line")
+        .data(smooth ? [smooth.filter(d => d.y != null)] : [])
+        .join("path")
+        .attr("class", "loess-line")
+        .attr("fill", "none")
+        .attr("stroke", "#ff7f0e")
+        .attr("stroke-width", 2)
+        .attr("stroke-dasharray", "6,3")
+        .attr("d", d3.line().x(d => xScale(d.x)).y(d => yScale(d.y)));
+
+    // stats box in the top-left corner of the plot
+    const fmt = d3.format(".3~g");
+    const r = pearson(points);
+    const rho = spearman(points);
+    const p = correlationPValue(r, points.length);
+    const lines = trendShown.showStats ? [
+        `n = ${points.length} points in view`,
+        `slope = ${fit ? fmt(fit.slope) : "–"}`,
+        `R² = ${fit && fit.r2 != null ? d3.format(".3f")(fit.r2) : "–"}`,
+        `Pearson r = ${r == null ? "–" : d3.format(".3f")(r)}`,
+        `Spearman ρ = ${rho == null ? "–" : d3.format(".3f")(rho)}`,
+        `p-value (r) = ${p == null ? "–" : (p < 0.001 ? "< 0.001" : d3.format(".3f")(p))}`
+    ] : [];
+    statsBox.selectAll("rect")
+        .data(lines.length ? [lines] : [])
+        .join("rect")
+        .attr("width", 190)
+        .attr("height", l => l.length * 15 + 8)
+        .attr("fill", "white")
+        .attr("fill-opacity", 0.85)
+        .attr("stroke", "#ccc");
+    statsBox.selectAll("text")
+        .data(lines)
+        .join("text")
+        .attr("x", 6)
+        .attr("y", (d, i) => 16 + i * 15)
+        .style("font-size", "12px")
+        .text(d => d);
+}
+updateTrend();
+updateSourceNote();
+
+// Keep the view in the URL hash: both features, and the zoom domains when zoomed in
+const isZoomed = () => chart.isZoomed();
+viewState.field("x", { get: () => xFeat });
+viewState.field("y", { get: () => yFeat });
+// the trend overlays switched on, e.g. "regression,stats"
+viewState.field("trend", { get: () => trendOptions.filter(o => trendShown[o.key]).map(o => o.param).join(",") });
+viewState.field("src", { get: () => (dataSource === 'annual' ? null : dataSource) });
+viewState.field("zoom", {
+    // x0,x1,y0,y1
+    get: () => (isZoomed() ? [...xScale.domain(), ...yScale.domain()].map(v => +v.toPrecision(6)).join(",") : null),
+    set: value => {
+        const v = value.split(",").map(Number);
+        const valid = v.length === 4 && v.every(isFinite) && v[0] < v[1] && v[2] < v[3];
+        if (valid) showZoomedDomains([v[0], v[1]], [v[2], v[3]]);
+    }
+});
+viewState.restore();
+bindCopyLink(copyLinkButton, viewState);
+
+// Export what is on screen (including the zoom) as SVG or PNG, with the data source
+addExportControl(shareControls, () => ({
+    svg: chart.svg.node(),
+    caption: dataSource === 'daily'
+        ? "Source: annual hunting-season environmental conditions, with the temperature metrics recomputed from daily_hunting_season_environmental_conditions.csv"
+        : "Source: annual hunting-season environmental conditions (annual_hunting_season_environmental_conditions.csv)",
+    filename: exportFilename(yFeat, "vs", xFeat, dataSource === 'daily' && "daily")
+}));
+
+// Download the points inside the current (possibly zoomed) view with their year and both features
+addDataDownloadControl(shareControls, () => {
+    const [x0, x1] = xScale.domain();
+    const [y0, y1] = yScale.domain();
+    const rows = chart.points()
+        .filter(d => d.x >= x0 && d.x <= x1 && d.y >= y0 && d.y <= y1)
+        .map(d => ({ year: d.year, [xFeat]: d.x, [yFeat]: d.y }));
+    return {
+        rows,
+        columns: Array.from(new Set(["year", xFeat, yFeat])),
+        filename: exportFilename(yFeat, "vs", xFeat, dataSource === 'daily' && "daily", isZoomed() && "zoomed")
+    };
+});
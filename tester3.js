@@ -1,382 +1,213 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { loadWorldGeography, createLoadStatus } from "./geography.js";
+import { createWorldMap } from "./world-map.js";
+import { createIndicatorLayer, indicatorYears } from "./indicator-layer.js";
+import { SCHEMES, PALETTES } from "./classify.js";
+import { METRICS, metricById } from "./metrics.js";
+import { createCountryPanel } from "./country-panel.js";
+import { createCountrySearch } from "./country-search.js";
+import { createViewState, mapViewFields, bindCopyLink, sharedYear, remembered } from "./view-state.js";
+import { addExportControl, exportFilename } from "./chart-export.js";
+import { addDataDownloadControl } from "./data-export.js";
 
 // --- small contract ---
-// Inputs: optional CSV at ./data/2022-epi-raw-data-time-series/POP_raw.csv (not required for the map)
-// Output: a responsive SVG world map rendered into #map
+// Inputs: ./data/2022-epi-raw-data-time-series/indicators.json listing the <IND>_raw.csv files to offer,
+//         and those CSVs (all optional; the map draws without them)
+// Output: a responsive SVG world map rendered into #map, colored by the indicator picked in #indicator-select
+//         using the classification scheme and palette picked in #scheme-select / #palette-select,
+//         per year or fixed across all years (#fixed-scale); #metric-select switches to a derived view
+//         (growth, change since / CAGR from the #base-year-select year, density). The whole view
+//         (settings, year, projection, zoom, pinned countries) is kept in the URL hash.
 // Error modes: fetch failures logged to console
 
-// Try to load the CSV (if present) but continue even if it's missing.
-let rawData = null;
+const EPI_DIR = './data/2022-epi-raw-data-time-series/';
+
+// Indicators come from the manifest so new EPI files only need a line there.
+let indicators = [{ code: 'POP', label: 'Population', file: 'POP_raw.csv' }];
 try {
-	rawData = await d3.csv("./data/2022-epi-raw-data-time-series/POP_raw.csv");
-	console.log("Loaded CSV rows:", rawData.length);
+	const listed = await d3.json(`${EPI_DIR}indicators.json`);
+	if (Array.isArray(listed) && listed.length) indicators = listed;
 } catch (err) {
-	console.warn("CSV not loaded (this is optional for the map):", err.message);
+	console.warn("Indicator manifest not loaded, offering POP only:", err.message);
 }
 
-// Map drawing
-const container = d3.select('#map');
-
-const width = 960;
-const height = 600;
-
-// If the #map element is already an <svg>, reuse it; otherwise append one.
-let svg;
-if (container.node() && container.node().nodeName && container.node().nodeName.toLowerCase() === 'svg') {
-	svg = container;
-	svg.attr('viewBox', `0 0 ${width} ${height}`)
-	   .attr('preserveAspectRatio', 'xMidYMid')
-	   .attr('role', 'img')
-	   .attr('aria-label', 'World map')
-	   .style('width', '100%')
-	   .style('height', 'auto');
-} else {
-	svg = container.append('svg')
-		.attr('viewBox', `0 0 ${width} ${height}`)
-		.attr('preserveAspectRatio', 'xMidYMid')
-		.attr('role', 'img')
-		.attr('aria-label', 'World map')
-		.style('width', '100%')
-		.style('height', 'auto');
+// A shared link's URL hash wins over the settings remembered in localStorage (see view-state.js)
+const viewState = createViewState();
+const shared = viewState.initial;
+
+// Restore the last indicator from localStorage (fallback to the first listed one)
+const lsIndicator = shared.ind ?? remembered('indicator');
+let indicator = indicators.find(d => d.code === lsIndicator) || indicators[0];
+const lsScheme = shared.scheme ?? remembered('classScheme');
+const lsPalette = shared.palette ?? remembered('palette');
+let scheme = SCHEMES.some(d => d.id === lsScheme) ? lsScheme : 'quantile';
+let palette = PALETTES.some(d => d.id === lsPalette) ? lsPalette : 'Greens';
+let fixedScale = (shared.fixed ?? remembered('fixedScale')) === '1';
+const lsMetric = shared.metric ?? remembered('metric');
+let metric = METRICS.some(d => d.id === lsMetric) ? lsMetric : 'raw';
+let baseYear = +(shared.base ?? remembered('baseYear')) || null;
+
+// fill a <select> with { id, label } options and mark the current one
+function fillSelect(sel, options, selectedId) {
+	sel.selectAll('option')
+		.data(options)
+		.join('option')
+		.attr('value', d => d.id)
+		.text(d => d.label)
+		.property('selected', d => d.id === selectedId);
 }
 
-// add a subtle border to the SVG container for visual separation
-svg.style('border', '1px solid #ccc')
-   .style('border-radius', '4px');
-
-// create or reuse a single group for map content
-let g = svg.select('g');
-if (g.empty()) g = svg.append('g');
+// Try to load an indicator CSV (if present) but continue even if it's missing.
+const csvCache = new Map();
+async function loadIndicatorRows(ind) {
+	if (csvCache.has(ind.code)) return csvCache.get(ind.code);
+	let rows = null;
+	try {
+		rows = await d3.csv(`${EPI_DIR}${ind.file}`);
+	} catch (err) {
+		console.warn(`${ind.file} not loaded (this is optional for the map):`, err.message);
+	}
+	csvCache.set(ind.code, rows);
+	return rows;
+}
 
-const projection = d3.geoNaturalEarth1()
-	.scale(160)
-	.translate([width / 2, height / 2]);
+let rawData = await loadIndicatorRows(indicator);
 
-const path = d3.geoPath().projection(projection);
+// Map drawing
+const container = d3.select('#map');
 
-// GeoJSON source (public). If you prefer a local copy, download and point here.
-const worldGeoUrl = 'https://raw.githubusercontent.com/holtzy/D3-graph-gallery/master/DATA/world.geojson';
+// World boundaries are loaded from the repo (see geography.js); a remote URL is only used if configured.
+const mapStatus = createLoadStatus(container);
 
 async function drawMap() {
 	try {
-		const world = await d3.json(worldGeoUrl);
-
-		// helper to get iso3 from GeoJSON feature
-		// This is robust: it checks common iso3 properties, normalizes to uppercase,
-		// and applies an alias map for known mismatches (e.g. GeoJSON uses "SDS" while CSV uses "SSD").
-		function featureIso3(f) {
-			const p = f.properties || {};
-			// small alias map: geojson-id/name -> CSV iso3
-			const aliasMap = {
-				// South Sudan: geojson file uses "SDS" but CSV uses "SSD"
-				'SDS': 'SSD'
-				// add more entries here if you discover other mismatches, e.g. 'ROM': 'ROU'
-			};
-
-			// candidate fields that commonly hold a 3-letter ISO code
-			const candidates = [f.id, p.iso_a3, p.ISO_A3, p.iso3, p.ISO3, p.adm0_a3, p.ADM0_A3, p.iso, p.ISO];
-			let iso = null;
-			for (const c of candidates) {
-				if (!c) continue;
-				const s = c.toString().trim();
-				// accept only 3-letter alpha codes
-				if (/^[A-Za-z]{3}$/.test(s)) {
-					iso = s.toUpperCase();
-					break;
-				}
-			}
-
-			if (!iso) return null;
-			// apply alias mapping if present
-			if (aliasMap[iso]) return aliasMap[iso];
-			return iso;
-		}
-		// prepare variables for population bins and lookups; these will be built per-year
-		let popLookup = new Map();
-		let nameLookup = new Map();
-		let pops = [];
-		const numBins = 10;
-		let quantileScale = null;
-		let binThresholds = [];
-
-		// color accessor for bins using a perceptual interpolator (Greens)
-		function binColor(binIndex) {
-			const t = 0.15 + (binIndex / (numBins - 1)) * 0.8;
-			return d3.interpolateGreens(t);
-		}
-
-		// tooltip
-		const tip = d3.select('body').append('div')
-			.attr('class', 'd3-tooltip')
-			.style('position', 'absolute')
-			.style('pointer-events', 'none')
-			.style('padding', '6px 8px')
-			.style('background', 'rgba(0,0,0,0.7)')
-			.style('color', '#fff')
-			.style('font-size', '13px')
-			.style('border-radius', '4px')
-			.style('display', 'none')
-			.style('z-index', 1000);
-
-		// optional: add graticule (non-interactable) BEFORE countries so gridlines render under country shapes
-		const graticule = d3.geoGraticule();
-		g.append('path')
-			.datum(graticule())
-			.attr('d', path)
-			.attr('fill', 'none')
-			.attr('stroke', '#ddd')
-			.attr('stroke-width', 0.4)
-			.attr('pointer-events', 'none');
-
-		// draw country paths (classed so graticule remains separate)
-		const countryPaths = g.selectAll('path.country')
-			.data(world.features)
-			.join('path')
-			.attr('class', 'country')
-			.attr('d', path)
-			.attr('fill', '#eee')
-			.attr('fill-opacity', 1)
-			.attr('stroke', '#555')
-			.attr('stroke-width', 0.3)
-			.on('mouseover', function (event, d) {
-				d3.select(this).attr('stroke-width', 0.8);
-				// lookup population
-				const pName = (d.properties && (d.properties.name || d.properties.ADMIN || d.properties.NAME)) || 'Unknown';
-				const iso = (featureIso3(d) || '').toString().toUpperCase();
-				let p = popLookup.get(iso);
-				if (p == null) {
-					// try matching by name (case-insensitive)
-					const lower = pName.toLowerCase();
-					const entry = nameLookup.get(lower);
-					if (entry) p = entry.val;
-				}
-				const valText = p == null ? 'No data' : d3.format(',')(p);
-				let binLabel = 'No data';
-				if (p != null && pops.length) {
-					const binIndex = quantileScale(p);
-					binLabel = `${binIndex * 10}-${(binIndex + 1) * 10}%`;
-				}
-				tip.style('display', 'block')
-					.html(`<strong>${pName}</strong><br>POP ${currentYear}: ${valText}<br>Decile: ${binLabel}`);
-			})
-			.on('mousemove', function (event) {
-				tip.style('left', (event.pageX + 12) + 'px')
-					.style('top', (event.pageY + 12) + 'px');
-			})
-			.on('mouseout', function () {
-				d3.select(this).attr('stroke-width', 0.3);
-				tip.style('display', 'none');
-			});
-
-			// helper: parse slider and selected year
-			const yearSlider = d3.select('#year-slider');
-			const yearValueSpan = d3.select('#year-value');
-			// derive available years from CSV column names like "POP.raw.1990"
-			let availableYears = [];
-			if (rawData && rawData.columns) {
-				availableYears = rawData.columns
-					.map(c => {
-						const m = c.match(/^POP\.raw\.(\d{4})$/);
-						return m ? +m[1] : null;
-					})
-					.filter(y => y && y <= 2020)
-					.sort((a, b) => a - b);
-			}
-			if (!availableYears.length) availableYears = [1990];
-			const minYear = availableYears[0];
-			const maxYear = availableYears[availableYears.length - 1];
-			if (!yearSlider.empty()) {
-				yearSlider.attr('min', minYear).attr('max', maxYear).attr('step', 1);
-				// ensure current value falls within new range
-				if (+yearSlider.node().value < minYear || +yearSlider.node().value > maxYear) {
-					yearSlider.node().value = minYear;
-				}
-			}
-			const selectedYear = yearSlider.empty() ? minYear : +yearSlider.node().value;
-			let currentYear = selectedYear;
-
-		// render function: builds popLookup for a year, computes quantile bins, updates fills and legend
-		function renderForYear(year) {
-			currentYear = year;
-			// build lookups
-			popLookup = new Map();
-			nameLookup = new Map();
-			if (rawData) {
-				rawData.forEach(d => {
-					const iso = (d.iso || '').toString().trim();
-					const name = (d.country || '').toString().trim();
-					const key = `POP.raw.${year}`;
-					let val = +d[key];
-					if (!isFinite(val) || val < 0) val = null;
-					if (iso) popLookup.set(iso, val);
-					if (name) nameLookup.set(name.toLowerCase(), { iso, val, name });
-				});
-			}
-			pops = Array.from(popLookup.values()).filter(v => v != null);
-			if (pops.length) {
-				quantileScale = d3.scaleQuantile().domain(pops).range(d3.range(numBins));
-				binThresholds = quantileScale.quantiles();
-			} else {
-				quantileScale = () => null;
-				binThresholds = [];
-			}
-
-			// recolor countries (try iso3 first, then fallback to name-based lookup)
-			countryPaths.attr('fill', d => {
-				const iso = (featureIso3(d) || '') ? (featureIso3(d) || '').toString().toUpperCase() : '';
-				let p = iso ? popLookup.get(iso) : null;
-				if (p == null) {
-					// try matching by country name (case-insensitive)
-					const pName = (d.properties && (d.properties.name || d.properties.ADMIN || d.properties.NAME)) || '';
-					const entry = nameLookup.get(pName.toLowerCase());
-					if (entry) p = entry.val;
-				}
-				if (p == null) return '#eee';
-				const bin = quantileScale(p);
-				return binColor(bin);
-			});
-
-			// update HTML legend row (under the slider)
-			const htmlLegend = d3.select('#legend-row');
-			if (!htmlLegend.empty()) {
-				htmlLegend.html('');
-				if (pops.length) {
-					const numericBins = [d3.min(pops), ...binThresholds, d3.max(pops)];
-					numericBins.slice(0, numBins).forEach((low, i) => {
-						const high = numericBins[i + 1];
-						htmlLegend.append('div')
-							.attr('class', 'swatch')
-							.style('display', 'inline-block')
-							.style('width', '28px')
-							.style('height', '16px')
-							.style('border', '1px solid #ccc')
-							.style('background', binColor(i))
-							.attr('title', `${d3.format(',')(Math.round(low))} – ${d3.format(',')(Math.round(high))}`);
-					});
-				} else {
-					htmlLegend.append('div').text('No population data');
-				}
-			}
+		const world = await loadWorldGeography({ status: mapStatus });
+
+		const layer = createIndicatorLayer({ rows: rawData, indicator, scheme, palette, fixedScale, metric, baseYear });
+		const panel = createCountryPanel({ source: layer, onChange: () => viewState.save() });
+		const availableYears = indicatorYears(rawData, indicator.code);
+		const mapYears = availableYears.length ? availableYears : [1990];
+		const map = createWorldMap({
+			container,
+			features: world.features,
+			years: mapYears,
+			startYear: sharedYear(shared.year, mapYears),
+			// Play animates through all years over 1.5 seconds total at 1× speed
+			playDuration: 1500,
+			// the indicator layer colors the map; the panel pins clicked countries (shift-click compares)
+			layers: [layer, panel]
+		});
+
+		// type-ahead country search (map names plus the CSV's country names)
+		const search = createCountrySearch({ map, rows: rawData });
+
+		// indicator picker
+		const picker = d3.select('#indicator-select');
+		fillSelect(picker, indicators.map(d => ({ id: d.code, label: d.label ? `${d.label} (${d.code})` : d.code })), indicator.code);
+		picker.on('change', async function () {
+			const next = indicators.find(d => d.code === this.value);
+			if (!next) return;
+			indicator = next;
+			try { localStorage.setItem('indicator', indicator.code); } catch (e) {}
+			rawData = await loadIndicatorRows(indicator);
+			layer.setIndicator(map, rawData, indicator);
+			search.setRows(rawData);
+			const years = indicatorYears(rawData, indicator.code);
+			if (years.length) map.setYears(years);
+			fillBaseYears();
+			map.render(map.currentYear);
+		});
+
+		// derived view picker; the base year picker only shows for views that compare against one
+		const baseYearControl = d3.select('#base-year-control');
+		const baseYearSelect = d3.select('#base-year-select');
+		function fillBaseYears() {
+			const years = indicatorYears(rawData, indicator.code);
+			if (!years.includes(baseYear)) baseYear = years[0] ?? null;
+			fillSelect(baseYearSelect, years.map(y => ({ id: y, label: y })), baseYear);
+			layer.setMetric({ baseYear });
 		}
-
-		// initial render and slider wiring
-		renderForYear(selectedYear);
-		if (!yearSlider.empty()) {
-			yearValueSpan.text(selectedYear);
-			yearSlider.on('input', function () {
-				const y = +this.value;
-				yearValueSpan.text(y);
-				renderForYear(y);
+		fillBaseYears();
+		fillSelect(d3.select('#metric-select'), METRICS.map(d => ({ id: d.id, label: d.option })), metric);
+		baseYearControl.style('display', metricById(metric).needsBase ? null : 'none');
+		d3.select('#metric-select').on('change', function () {
+			metric = this.value;
+			try { localStorage.setItem('metric', metric); } catch (e) {}
+			baseYearControl.style('display', metricById(metric).needsBase ? null : 'none');
+			layer.setMetric({ metric });
+			map.render(map.currentYear);
+		});
+		baseYearSelect.on('change', function () {
+			baseYear = +this.value;
+			try { localStorage.setItem('baseYear', baseYear); } catch (e) {}
+			layer.setMetric({ baseYear });
+			map.render(map.currentYear);
+		});
+
+		// classification scheme and palette pickers
+		fillSelect(d3.select('#scheme-select'), SCHEMES, scheme);
+		fillSelect(d3.select('#palette-select'), PALETTES, palette);
+		d3.select('#scheme-select').on('change', function () {
+			scheme = this.value;
+			try { localStorage.setItem('classScheme', scheme); } catch (e) {}
+			layer.setClassification({ scheme });
+			map.render(map.currentYear);
+		});
+		d3.select('#palette-select').on('change', function () {
+			palette = this.value;
+			try { localStorage.setItem('palette', palette); } catch (e) {}
+			layer.setClassification({ palette });
+			map.render(map.currentYear);
+		});
+		d3.select('#fixed-scale')
+			.property('checked', fixedScale)
+			.on('change', function () {
+				fixedScale = this.checked;
+				try { localStorage.setItem('fixedScale', fixedScale ? '1' : '0'); } catch (e) {}
+				layer.setClassification({ fixedScale });
+				map.render(map.currentYear);
 			});
-		}
-
-			// Play button behavior: animate through availableYears over 5 seconds total.
-			const playBtn = d3.select('#play-btn');
-			let playTimer = null;
-			let isPlaying = false;
-
-			function stopPlayback() {
-				if (playTimer) {
-					clearInterval(playTimer);
-					playTimer = null;
-				}
-				isPlaying = false;
-				if (!playBtn.empty()) playBtn.text('Play ▶');
-				if (!yearSlider.empty()) yearSlider.property('disabled', false);
-			}
-
-			function startPlayback() {
-				if (isPlaying) return;
-				// If the current year is 2020, revert to 1990 before starting playback.
-				if (currentYear === 2020) {
-					const startYear = availableYears.includes(1990) ? 1990 : minYear;
-					currentYear = startYear;
-					if (!yearSlider.empty()) {
-						yearSlider.node().value = startYear;
-						yearValueSpan.text(startYear);
-						renderForYear(startYear);
-					}
-				}
-				const years = availableYears && availableYears.length ? availableYears : [selectedYear];
-				const total = years.length;
-				const stepMs = Math.max(1, Math.round(1500 / total));
-				let idx = years.indexOf(currentYear);
-				if (idx === -1) idx = 0;
-				isPlaying = true;
-				if (!playBtn.empty()) playBtn.text('Pause ❚❚');
-				if (!yearSlider.empty()) yearSlider.property('disabled', true);
-				// advance after each interval
-				playTimer = setInterval(() => {
-					idx = idx + 1;
-					if (idx >= years.length) {
-						stopPlayback();
-						return;
-					}
-					const y = years[idx];
-					if (!yearSlider.empty()) yearSlider.node().value = y;
-					yearValueSpan.text(y);
-					renderForYear(y);
-				}, stepMs);
-			}
-
-			if (!playBtn.empty()) {
-				playBtn.on('click', () => {
-					if (isPlaying) stopPlayback(); else startPlayback();
-				});
-			}
-
 
-
-
-
-
-			// zoom — allow dragging only when zoomed in and clamp the transform so the
-			// content never leaves the SVG viewport. Wheel/dblclick/touch still zoom.
-			const minK = 1;
-			const maxK = 8;
-
-			function clampTransform(t) {
-				const k = t.k;
-				// allowed translation range so content covers the viewport
-				const minX = Math.min(0, width - width * k);
-				const maxX = 0;
-				const minY = Math.min(0, height - height * k);
-				const maxY = 0;
-				const x = Math.max(minX, Math.min(maxX, t.x));
-				const y = Math.max(minY, Math.min(maxY, t.y));
-				return { x, y, k };
-			}
-
-			const zoom = d3.zoom()
-				.scaleExtent([minK, maxK])
-				.filter(event => {
-					// allow wheel, double-click, and touch gestures always
-					if (event.type === 'wheel' || event.type === 'dblclick' || event.type === 'touchstart') return true;
-					// allow pointer/mouse dragging only when currently zoomed in (k > 1)
-					const t = d3.zoomTransform(svg.node());
-					if (t.k > 1) {
-						// accept pointer/mouse events so drag panning can occur
-						return event.type.startsWith('mouse') || event.type.startsWith('pointer') || event.type.startsWith('touch');
-					}
-					// otherwise, disallow drag/pan
-					return false;
-				})
-				.on('zoom', (event) => {
-					// Clamp the transform so the map content always covers the SVG viewport.
-					const t = event.transform;
-					const c = clampTransform(t);
-					g.attr('transform', `translate(${c.x},${c.y}) scale(${c.k})`);
-				});
-
-			svg.call(zoom);
-
-		console.log('World map drawn');
+		// URL hash: the settings above were read from it before drawing; the map's year, projection
+		// and zoom and the pinned countries are applied here. Every re-render rewrites it.
+		viewState.field('ind', { get: () => indicator.code });
+		viewState.field('metric', { get: () => metric });
+		viewState.field('base', { get: () => (metricById(metric).needsBase && baseYear != null ? String(baseYear) : null) });
+		viewState.field('scheme', { get: () => scheme });
+		viewState.field('palette', { get: () => palette });
+		viewState.field('fixed', { get: () => (fixedScale ? '1' : '0') });
+		const mapFields = mapViewFields(viewState, map);
+		viewState.field('sel', {
+			get: () => panel.selected().join(',') || null,
+			set: v => panel.setSelected(map, v.split(',').filter(Boolean))
+		});
+		viewState.restore();
+		map.addLayer(mapFields);
+		bindCopyLink(d3.select('#copy-link'), viewState);
+
+		// export the map with the indicator legend, year and data source
+		addExportControl(d3.select('#export-control'), () => {
+			const name = indicator.label || indicator.code;
+			const title = metric === 'raw' ? name : `${name}: ${metricById(metric).label(indicator, baseYear, map.currentYear)}`;
+			return {
+				svg: map.svg,
+				title,
+				year: map.currentYear,
+				legends: [d3.select('#legend-row')],
+				caption: `Source: 2022 Environmental Performance Index raw data time series (${indicator.file}); boundaries: Natural Earth`,
+				filename: exportFilename(indicator.code, metric === 'raw' ? null : metric, map.currentYear)
+			};
+		});
+		// ...and the values behind it, one row per country
+		addDataDownloadControl(d3.select('#export-control'), () => ({
+			rows: layer.displayedRows(map),
+			filename: exportFilename(indicator.code, metric === 'raw' ? null : metric, map.currentYear)
+		}));
 	} catch (err) {
-		console.error('Failed to load or draw world GeoJSON:', err);
-		container.append('div').text('Failed to load map data. See console for details.');
+		console.error('Failed to load or draw world map:', err);
+		// geography failures were already reported by the loader; report drawing errors here
+		if (!/^Map data unavailable/.test(err.message)) mapStatus.failed(`Failed to draw map: ${err.message}`);
 	}
 }
 
 drawMap();
-
-
@@ -0,0 +1,137 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// --- small contract ---
+// Inputs: the page's pieces of view state, each registered as a field with get() / set(value)
+// Output: the state written to the URL hash (#year=2005&zoom=2,-310,-95&...) whenever the page
+//         calls save(), restored from the hash on load, and a "copy link" button, so a shared
+//         link opens the same view. The hash wins over anything remembered in localStorage.
+// Error modes: values that no longer apply (unknown feature, missing year) are ignored by
+//              the fields' set(); without clipboard access the link is shown in a prompt to copy by hand
+
+// the hash as a plain object of strings ({} when empty)
+export function readViewState() {
+  const hash = window.location.hash.replace(/^#/, '');
+  return Object.fromEntries(new URLSearchParams(hash));
+}
+
+export function createViewState() {
+  const fields = [];
+  const initial = readViewState();
+  let timer = null;
+  let restoring = false;
+
+  function write() {
+    timer = null;
+    const params = new URLSearchParams();
+    fields.forEach(f => {
+      const v = f.get();
+      if (v != null && v !== '') params.set(f.key, v);
+    });
+    // commas are legal in a fragment; leaving them unescaped keeps links readable
+    const hash = params.toString().replace(/%2C/g, ',');
+    // replaceState keeps the history clean while dragging sliders and zooming
+    history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+  }
+
+  return {
+    // the values the page was opened with, for choosing initial settings before drawing
+    initial,
+    // get() returns a string (null = nothing to share, left out of the link); set(string) applies it
+    // on restore (optional for values the page already read from `initial` before drawing)
+    field(key, { get, set }) {
+      fields.push({ key, get, set });
+    },
+    // apply every registered field present in the hash, in registration order
+    restore() {
+      restoring = true;
+      try {
+        fields.forEach(f => {
+          if (initial[f.key] != null && f.set) f.set(initial[f.key]);
+        });
+      } finally {
+        restoring = false;
+      }
+      write();
+    },
+    // write the hash soon (many changes in a row, e.g. during Play, collapse into one write)
+    save() {
+      if (restoring || timer) return;
+      timer = setTimeout(write, 200);
+    },
+    // the link to the current view
+    link() {
+      if (timer) {
+        clearTimeout(timer);
+        write();
+      }
+      return window.location.href;
+    }
+  };
+}
+
+// a value remembered in localStorage (null when there is none or storage is blocked, where
+// reading it throws)
+export function remembered(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+// the year a shared link asks for, if the data has it (null otherwise)
+export function sharedYear(value, years) {
+  const year = value == null || value === '' ? NaN : +value;
+  return years.includes(year) ? year : null;
+}
+
+// Year, projection and zoom of a world map (see world-map.js), shared by both map pages.
+// Also returns a map layer that saves the state whenever the map re-renders, zooms or rotates.
+export function mapViewFields(state, map) {
+  state.field('year', {
+    get: () => (map.currentYear == null ? null : String(map.currentYear)),
+    set: v => {
+      const year = sharedYear(v, map.years);
+      if (year != null) map.setYear(year);
+    }
+  });
+  state.field('proj', {
+    get: () => map.projectionId(),
+    set: v => {
+      if (v !== map.projectionId()) {
+        map.setProjection(v);
+        d3.select('#projection-select').property('value', map.projectionId());
+      }
+    }
+  });
+  state.field('zoom', {
+    get: () => {
+      const t = map.clampTransform(d3.zoomTransform(map.svg.node()));
+      if (t.k === 1 && Math.abs(t.x) < 0.5 && Math.abs(t.y) < 0.5) return null;
+      return [t.k.toFixed(3), t.x.toFixed(1), t.y.toFixed(1)].map(Number).join(',');
+    },
+    set: v => {
+      const [k, x, y] = v.split(',').map(Number);
+      if ([k, x, y].every(isFinite)) map.svg.call(map.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    }
+  });
+  const save = () => state.save();
+  return { render: save, zoomed: save, reprojected: save };
+}
+
+// "Copy link" button: copies the link to the current view and says so for a moment
+export function bindCopyLink(button, state) {
+  if (button.empty()) return;
+  const label = button.text();
+  button.on('click', async () => {
+    const url = state.link();
+    try {
+      await navigator.clipboard.writeText(url);
+      button.text('Link copied ✓');
+    } catch (e) {
+      // no clipboard access (e.g. plain http): show the link so it can be copied by hand
+      window.prompt('Copy this link:', url);
+    }
+    setTimeout(() => button.text(label), 1500);
+  });
+}
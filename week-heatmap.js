@@ -0,0 +1,278 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { createDropdown } from "./dropdown.js";
+import { isDayAtOrAbove, countDaysAtOrAbove } from "./daily-aggregates.js";
+
+// --- small contract ---
+// Inputs: a container and the daily hunting-season rows from hunting-data.js (year, hunting_week,
+//         season_day, date, temp_min/max/mean, water_level)
+// Output: a calendar heatmap with one row per season and one column per hunting week (or per
+//         day), colored by the variable picked in the dropdown. Clicking a cell lists the daily
+//         values of that week below the chart. The variable and the column unit are remembered in
+//         localStorage.
+// Error modes: cells without a value are drawn gray and say "no data"; with no rows it shows a
+//              message
+
+const cellH = 22;
+const margin = { top: 34, right: 20, bottom: 12, left: 52 };
+const width = 900;
+const innerW = width - margin.left - margin.right;
+
+// threshold of the annual file's days_abv_10, counted with its rule (see daily-aggregates.js)
+const WARM_DAY = 10;
+
+const VARIABLES = [
+  {
+    key: 'temp_mean',
+    label: 'mean temperature',
+    unit: '°C',
+    value: days => d3.mean(days, d => d.temp_mean),
+    format: d3.format('.1f'),
+    interpolator: t => d3.interpolateRdYlBu(1 - t)
+  },
+  {
+    key: 'water_level',
+    label: 'water level',
+    unit: '',
+    value: days => d3.mean(days, d => d.water_level),
+    format: d3.format('.2f'),
+    interpolator: d3.interpolateBlues
+  },
+  {
+    key: 'days_abv_10',
+    label: 'days at or above 10 °C',
+    unit: 'days',
+    value: days => countDaysAtOrAbove(days, WARM_DAY),
+    format: d3.format('d'),
+    interpolator: d3.interpolateYlOrRd
+  }
+];
+
+const UNITS = [
+  { key: 'week', label: 'hunting weeks' },
+  { key: 'day', label: 'days' }
+];
+
+export function createWeekHeatmap({ container, rows }) {
+  if (!rows || !rows.length) {
+    container.append('p').text('No daily data to show.');
+    return null;
+  }
+  const seasons = d3.group(rows, d => d.year);
+  const years = Array.from(seasons.keys()).sort((a, b) => a - b);
+  const weeks = Array.from(new Set(rows.map(d => d.hunting_week))).sort((a, b) => a - b);
+  const maxDay = d3.max(rows, d => d.season_day);
+  const formatDate = d3.timeFormat('%b %-d');
+  // label of each season day from the first season that has it ("Sep 1")
+  const dayLabel = new Map();
+  rows.forEach(d => {
+    if (!dayLabel.has(d.season_day)) dayLabel.set(d.season_day, formatDate(d.date));
+  });
+
+  let variable;
+  let unit;
+  let picked = null; // { year, week, day } of the clicked cell
+
+  const controls = container.append('div')
+    .attr('class', 'heatmap-controls')
+    .style('text-align', 'center')
+    .style('margin-bottom', '8px');
+  variable = createDropdown(controls.append('span').style('margin-right', '16px'), {
+    label: 'Color by',
+    className: 'heatmapVar-dropdown',
+    options: VARIABLES,
+    storageKey: 'heatmapVar',
+    onChange: v => { variable = v; update(); }
+  });
+  unit = createDropdown(controls.append('span').style('margin-right', '16px'), {
+    label: 'Columns',
+    className: 'heatmapUnit-dropdown',
+    options: UNITS,
+    storageKey: 'heatmapUnit',
+    onChange: v => { unit = v; update(); }
+  });
+
+  const height = margin.top + margin.bottom + cellH * years.length;
+  const svg = container.append('svg')
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('role', 'img')
+    .attr('aria-label', 'Hunting-season conditions by year and week')
+    .style('width', '100%')
+    .style('max-width', `${width}px`)
+    .style('height', 'auto')
+    .style('display', 'block')
+    .style('margin', '0 auto');
+  const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+  const y = d3.scaleBand().domain(years).range([0, cellH * years.length]).padding(0.08);
+  const x = d3.scaleBand().range([0, innerW]).padding(0.08);
+  g.append('g').call(d3.axisLeft(y).tickSize(0).tickPadding(6)).call(a => a.select('.domain').remove());
+  const xAxis = g.append('g');
+  const cells = g.append('g').attr('class', 'heatmap-cells');
+
+  const legend = container.append('div')
+    .attr('class', 'heatmap-legend')
+    .style('display', 'flex')
+    .style('justify-content', 'center')
+    .style('align-items', 'center')
+    .style('gap', '8px')
+    .style('font-size', '12px')
+    .style('margin-top', '6px');
+  const details = container.append('div')
+    .attr('class', 'heatmap-details')
+    .style('max-width', '640px')
+    .style('margin', '12px auto')
+    .style('font-size', '13px');
+  const tip = d3.select('body').append('div')
+    .attr('class', 'heatmap-tip')
+    .style('position', 'absolute')
+    .style('pointer-events', 'none')
+    .style('background', 'white')
+    .style('border', '1px solid #999')
+    .style('border-radius', '4px')
+    .style('padding', '4px 8px')
+    .style('font-size', '12px')
+    .style('display', 'none');
+
+  // one entry per (season, column) with the days it covers and the variable's value
+  function cellData(v) {
+    const column = unit === 'week' ? d => d.hunting_week : d => d.season_day;
+    return years.flatMap(year => Array.from(d3.group(seasons.get(year), column), ([col, days]) => ({
+      year,
+      col,
+      days,
+      value: v.value(days) ?? null
+    })));
+  }
+
+  function columnLabel(col) {
+    return unit === 'week' ? `Week ${col}` : (dayLabel.get(col) || `Day ${col}`);
+  }
+
+  function update() {
+    const v = VARIABLES.find(o => o.key === variable);
+    const data = cellData(v);
+    x.domain(unit === 'week' ? weeks : d3.range(1, maxDay + 1));
+    const extent = d3.extent(data, d => d.value);
+    const color = d3.scaleSequential(v.interpolator)
+      .domain(extent[0] === extent[1] ? [extent[0] - 1, extent[0] + 1] : extent);
+
+    xAxis.call(d3.axisTop(x)
+      .tickSize(0)
+      .tickPadding(6)
+      .tickFormat(col => (unit === 'week' ? columnLabel(col) : (col % 5 === 1 ? columnLabel(col) : ''))))
+      .call(a => a.select('.domain').remove());
+
+    cells.selectAll('g.cell')
+      .data(data, d => `${d.year}-${d.col}`)
+      .join(enter => {
+        const cell = enter.append('g').attr('class', 'cell').style('cursor', 'pointer');
+        cell.append('rect').attr('rx', 2);
+        cell.append('text')
+          .attr('text-anchor', 'middle')
+          .attr('dominant-baseline', 'central')
+          .style('font-size', '11px')
+          .style('pointer-events', 'none');
+        return cell;
+      })
+      .attr('transform', d => `translate(${x(d.col)},${y(d.year)})`)
+      .call(cell => cell.select('rect')
+        .attr('width', x.bandwidth())
+        .attr('height', y.bandwidth())
+        .attr('fill', d => (d.value == null ? '#e6e6e6' : color(d.value)))
+        .attr('stroke', d => (isPicked(d) ? '#222' : 'none'))
+        .attr('stroke-width', 2))
+      .call(cell => cell.select('text')
+        .attr('x', x.bandwidth() / 2)
+        .attr('y', y.bandwidth() / 2)
+        // values only fit in the wide week cells
+        .text(d => (unit === 'week' && d.value != null ? v.format(d.value) : ''))
+        .attr('fill', d => (d.value != null && d3.lab(color(d.value)).l < 55 ? 'white' : '#222')))
+      .on('mousemove', (event, d) => {
+        tip.html(`<strong>${d.year}, ${columnLabel(d.col)}</strong><br>` +
+          `${v.label}: ${d.value == null ? 'no data' : `${v.format(d.value)}${v.unit ? ` ${v.unit}` : ''}`}`)
+          .style('display', null)
+          .style('left', `${event.pageX + 12}px`)
+          .style('top', `${event.pageY - 10}px`);
+      })
+      .on('mouseleave', () => tip.style('display', 'none'))
+      .on('click', (event, d) => {
+        const first = d.days[0];
+        picked = { year: d.year, week: first.hunting_week, day: unit === 'day' ? first.season_day : null };
+        update();
+      });
+
+    drawLegend(v, color);
+    drawDetails();
+  }
+
+  function isPicked(d) {
+    if (!picked || d.year !== picked.year) return false;
+    if (unit === 'week') return d.col === picked.week;
+    // a week picked in the week view stays outlined day by day
+    return picked.day == null ? d.days[0].hunting_week === picked.week : d.col === picked.day;
+  }
+
+  function drawLegend(v, color) {
+    legend.html('');
+    legend.append('span').text(`${v.label}${v.unit ? ` (${v.unit})` : ''}:`);
+    const [lo, hi] = color.domain();
+    legend.append('span').text(v.format(lo));
+    legend.append('span')
+      .style('display', 'inline-block')
+      .style('width', '160px')
+      .style('height', '10px')
+      .style('background', `linear-gradient(to right, ${d3.range(0, 1.01, 0.1).map(t => color(lo + t * (hi - lo))).join(',')})`);
+    legend.append('span').text(v.format(hi));
+    legend.append('span')
+      .style('margin-left', '12px')
+      .style('color', '#555')
+      .text('gray = no data; click a cell for that week\'s days');
+  }
+
+  // the daily values of the clicked cell's week
+  function drawDetails() {
+    details.html('');
+    if (!picked) return;
+    const days = seasons.get(picked.year).filter(d => d.hunting_week === picked.week);
+    if (!days.length) return;
+    details.append('h4')
+      .style('margin', '0 0 6px')
+      .text(`${picked.year}, hunting week ${picked.week} ` +
+        `(${formatDate(days[0].date)} – ${formatDate(days[days.length - 1].date)})`);
+    const table = details.append('table').style('width', '100%').style('border-collapse', 'collapse');
+    const columns = [
+      { label: 'Day', value: d => formatDate(d.date) },
+      { label: 'Mean °C', value: d => d.temp_mean },
+      { label: 'Min °C', value: d => d.temp_min },
+      { label: 'Max °C', value: d => d.temp_max },
+      { label: 'Water level', value: d => d.water_level },
+      { label: `${WARM_DAY} °C or more`, value: d => (d.temp_max == null ? null : (isDayAtOrAbove(d, WARM_DAY) ? 'yes' : 'no')) }
+    ];
+    table.append('thead').append('tr')
+      .selectAll('th')
+      .data(columns)
+      .join('th')
+      .style('text-align', 'left')
+      .style('border-bottom', '1px solid #999')
+      .text(c => c.label);
+    table.append('tbody')
+      .selectAll('tr')
+      .data(days)
+      .join('tr')
+      .style('background', d => (d.season_day === picked.day ? '#fff3c4' : null))
+      .selectAll('td')
+      .data(d => columns.map(c => c.value(d)))
+      .join('td')
+      .style('padding', '2px 4px')
+      .text(v => v ?? 'no data');
+  }
+
+  update();
+
+  return {
+    // show the daily values of this season's hunting week, as if its cell was clicked
+    showWeek(year, week) {
+      picked = seasons.has(year) ? { year, week, day: null } : null;
+      update();
+    }
+  };
+}
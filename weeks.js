@@ -0,0 +1,20 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { loadDailyRows } from "./hunting-data.js";
+import { createWeekHeatmap } from "./week-heatmap.js";
+
+// --- small contract ---
+// Inputs: the daily hunting-season CSV (through hunting-data.js)
+// Output: the week-by-week heatmap (see week-heatmap.js) in #week-heatmap
+// Error modes: a failed load is reported in place of the chart
+
+const container = d3.select('#week-heatmap');
+try {
+  const rows = await loadDailyRows();
+  createWeekHeatmap({ container, rows });
+} catch (err) {
+  console.error('Failed to load the daily data:', err);
+  container.append('p')
+    .style('color', '#b00')
+    .style('text-align', 'center')
+    .text(`Data unavailable: ${err.message}`);
+}
\ No newline at end of file
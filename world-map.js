@@ -0,0 +1,549 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { resolveCountry } from "./country-codes.js";
+import { PROJECTIONS, projectionById, centreConic } from "./projections.js";
+
+// --- small contract ---
+// Inputs: a GeoJSON FeatureCollection (see geography.js), an optional d3 projection and a list of layers
+// Output: a responsive SVG world map in `container` with graticule, country paths, tooltip,
+//         clamped zoom, and the page's #year-slider / #play-btn / #projection-select controls
+//         when they exist
+// Error modes: none of its own; layers are responsible for their data
+//
+// A layer is a plain object, every hook optional:
+//   attach(map)                   once, after the base map is drawn
+//   render(map, year)             whenever the selected year changes
+//   countryTooltip(map, feature)  html for a hovered country (first non-null answer wins)
+//   zoomed(map, transform)        after every clamped zoom/pan
+//   countryClick(map, feature, event)  a country path was clicked
+//   reprojected(map)              the projection changed or the globe was rotated; GeoJSON paths
+//                                 in map.g are redrawn already, anything placed with
+//                                 map.projectPoint() has to be moved by the layer
+
+// Resolve a GeoJSON feature to a country: checks the common iso3 properties first,
+// then the ISO numeric id (world-atlas uses those), then the feature's name.
+// Returns { iso3, via } or null; see country-codes.js for the alias tables.
+// Results are cached per feature object since every render looks them up again.
+const featureCountryCache = new WeakMap();
+export function featureCountry(f) {
+  if (featureCountryCache.has(f)) return featureCountryCache.get(f);
+  const p = f.properties || {};
+  const c = resolveCountry({
+    // candidate fields that commonly hold a 3-letter ISO code
+    codes: [f.id, p.iso_a3, p.ISO_A3, p.iso3, p.ISO3, p.adm0_a3, p.ADM0_A3, p.iso, p.ISO],
+    numeric: p.iso_n3 ?? p.ISO_N3 ?? null,
+    name: featureName(f)
+  });
+  featureCountryCache.set(f, c);
+  return c;
+}
+
+// helper to get the canonical iso3 of a GeoJSON feature (null when it cannot be resolved)
+export function featureIso3(f) {
+  const c = featureCountry(f);
+  return c ? c.iso3 : null;
+}
+
+// display name of a GeoJSON feature ('' when the file carries none)
+export function featureName(f) {
+  const p = f.properties || {};
+  return p.name || p.ADMIN || p.NAME || '';
+}
+
+export function createWorldMap({
+  container,
+  features,
+  projection = null,
+  layers = [],
+  years = [],
+  startYear = null,
+  playDuration = 1500,
+  width = 960,
+  height = 600
+}) {
+  // If the container is already an <svg>, reuse it; otherwise append one.
+  let svg;
+  if (container.node() && container.node().nodeName && container.node().nodeName.toLowerCase() === 'svg') {
+    svg = container;
+  } else {
+    svg = container.append('svg');
+  }
+  svg.attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('preserveAspectRatio', 'xMidYMid')
+    .attr('role', 'img')
+    .attr('aria-label', 'World map')
+    .style('width', '100%')
+    .style('height', 'auto');
+
+  // add a subtle border to the SVG container for visual separation
+  svg.style('border', '1px solid #ccc')
+    .style('border-radius', '4px');
+
+  // create or reuse a single group for map content
+  let g = svg.select('g');
+  if (g.empty()) g = svg.append('g');
+
+  // Projections are fitted to the viewport (see projections.js); #projection-select swaps them later.
+  // A projection passed in by the caller is used as given.
+  function fitProjection(def, regionFeatures) {
+    const p = def.create();
+    if (!def.region) return p.fitSize([width, height], def.outline);
+    centreConic(p, regionFeatures);
+    return p.fitSize([width, height], { type: 'FeatureCollection', features: regionFeatures });
+  }
+  const projectionSelect = d3.select('#projection-select');
+  let projectionDef;
+  if (projection) {
+    projectionDef = { id: 'custom', outline: { type: 'Sphere' } };
+  } else {
+    let saved = null;
+    if (!projectionSelect.empty()) {
+      try { saved = localStorage.getItem('projection'); } catch (e) {}
+    }
+    projectionDef = projectionById(saved);
+    projection = fitProjection(projectionDef, features);
+  }
+  const path = d3.geoPath().projection(projection);
+
+  // the area zoom/pan is clamped to: the projected outline of the world, or the whole viewport
+  // for regional and caller-supplied projections
+  let contentBounds;
+  function updateContentBounds() {
+    contentBounds = (projectionDef.region || !projectionDef.create)
+      ? [[0, 0], [width, height]]
+      : path.bounds(projectionDef.outline);
+  }
+  updateContentBounds();
+
+  const map = {
+    svg, g, path, projection, width, height, features, layers,
+    years: years.length ? years : [startYear ?? new Date().getFullYear()],
+    currentYear: null,
+    isPlaying: false
+  };
+
+  // tooltip
+  const tip = d3.select('body').append('div')
+    .attr('class', 'd3-tooltip')
+    .style('position', 'absolute')
+    .style('pointer-events', 'none')
+    .style('padding', '6px 8px')
+    .style('background', 'rgba(0,0,0,0.7)')
+    .style('color', '#fff')
+    .style('font-size', '13px')
+    .style('border-radius', '4px')
+    .style('display', 'none')
+    .style('z-index', 1000);
+  map.tip = tip;
+  map.showTip = (html) => tip.style('display', 'block').html(html);
+  map.moveTip = (event) => tip.style('left', (event.pageX + 12) + 'px').style('top', (event.pageY + 12) + 'px');
+  map.hideTip = () => tip.style('display', 'none');
+
+  // outline of the projected world (the globe's edge, Mercator's cut-off box)
+  const outlinePath = g.append('path')
+    .attr('class', 'outline')
+    .datum(projectionDef.outline)
+    .attr('d', path)
+    .attr('fill', 'none')
+    .attr('stroke', '#ccc')
+    .attr('stroke-width', 0.6)
+    .attr('pointer-events', 'none');
+
+  // optional: add graticule (non-interactable) BEFORE countries so gridlines render under country shapes
+  const graticule = d3.geoGraticule();
+  g.append('path')
+    .attr('class', 'graticule')
+    .datum(graticule())
+    .attr('d', path)
+    .attr('fill', 'none')
+    .attr('stroke', '#ddd')
+    .attr('stroke-width', 0.4)
+    .attr('pointer-events', 'none');
+
+  // draw country paths in their own group, so selected ones can be raised without covering other layers
+  const countryGroup = g.append('g').attr('class', 'countries');
+  map.countryPaths = countryGroup.selectAll('path.country')
+    .data(features)
+    .join('path')
+    .attr('class', 'country')
+    .attr('d', path)
+    .attr('fill', '#eee')
+    .attr('fill-opacity', 1)
+    .attr('stroke', '#555')
+    .attr('stroke-width', 0.3)
+    .on('mouseover', function (event, d) {
+      d3.select(this).attr('stroke-width', 0.8);
+      let html = null;
+      for (const layer of layers) {
+        if (typeof layer.countryTooltip !== 'function') continue;
+        html = layer.countryTooltip(map, d);
+        if (html != null) break;
+      }
+      map.showTip(html ?? `<strong>${featureName(d) || 'Unknown'}</strong>`);
+    })
+    .on('mousemove', function (event) {
+      map.moveTip(event);
+    })
+    .on('mouseout', function () {
+      d3.select(this).attr('stroke-width', this.classList.contains('selected') ? 1.2 : 0.3);
+      map.hideTip();
+    })
+    .on('click', function (event, d) {
+      layers.forEach(layer => {
+        if (typeof layer.countryClick === 'function') layer.countryClick(map, d, event);
+      });
+    });
+
+  // outline the countries matching `predicate` (e.g. the ones pinned in a side panel)
+  map.setHighlighted = function (predicate) {
+    map.countryPaths
+      .classed('selected', d => !!predicate(d))
+      .attr('stroke', d => (predicate(d) ? '#222' : '#555'))
+      .attr('stroke-width', d => (predicate(d) ? 1.2 : 0.3));
+    map.countryPaths.filter('.selected').raise();
+  };
+
+  // add a layer after the map was created (attached now, rendered from the next year change)
+  map.addLayer = function (layer) {
+    layers.push(layer);
+    if (typeof layer.attach === 'function') layer.attach(map);
+  };
+
+  // render every layer for a year
+  map.render = function (year) {
+    map.currentYear = year;
+    layers.forEach(layer => {
+      if (typeof layer.render === 'function') layer.render(map, year);
+    });
+  };
+
+  // helper: parse slider and selected year
+  const yearSlider = d3.select('#year-slider');
+  const yearValueSpan = d3.select('#year-value');
+  const minYear = map.years[0];
+  const maxYear = map.years[map.years.length - 1];
+  let selectedYear = startYear ?? minYear;
+  if (!yearSlider.empty()) {
+    yearSlider.attr('min', minYear).attr('max', maxYear).attr('step', 1);
+    if (startYear != null) {
+      yearSlider.node().value = startYear;
+    } else if (+yearSlider.node().value < minYear || +yearSlider.node().value > maxYear) {
+      // ensure current value falls within new range
+      yearSlider.node().value = minYear;
+    }
+    selectedYear = +yearSlider.node().value;
+  }
+
+  // move the controls and every layer to a year
+  map.setYear = function (year) {
+    if (!yearSlider.empty()) yearSlider.node().value = year;
+    yearValueSpan.text(year);
+    map.render(year);
+  };
+
+  // swap the list of available years (e.g. a different dataset was loaded) and
+  // move to the nearest available year if the current one no longer exists
+  map.setYears = function (years) {
+    if (!years.length) return;
+    if (map.isPlaying) stopPlayback();
+    map.years = years.slice().sort((a, b) => a - b);
+    if (!yearSlider.empty()) {
+      yearSlider.attr('min', map.years[0]).attr('max', map.years[map.years.length - 1]);
+    }
+    if (!map.years.includes(map.currentYear)) {
+      const nearest = map.years.reduce((best, y) => Math.abs(y - map.currentYear) < Math.abs(best - map.currentYear) ? y : best, map.years[0]);
+      map.setYear(nearest);
+    }
+  };
+
+  // Play button behavior: animate through the available years over `playDuration` ms total at 1×.
+  // Runs on d3.timer (requestAnimationFrame), stepping at most one year per frame, so a slow
+  // render delays the next year instead of queueing a backlog of steps. The slider stays live:
+  // scrubbing while playing continues from the scrubbed year.
+  const playBtn = d3.select('#play-btn');
+  const speedSelect = d3.select('#play-speed');
+  const modeSelect = d3.select('#play-mode');
+  let playTimer = null;
+  let direction = 1; // bounce mode plays backwards after reaching the last year
+  let speed = 1;
+  let playMode = 'stop'; // 'stop' at the end, 'loop' back to the start, or 'bounce'
+  try {
+    speed = +(localStorage.getItem('playSpeed') || 1) || 1;
+    playMode = localStorage.getItem('playMode') || 'stop';
+  } catch (e) {}
+
+  // index of the current year in map.years, or of the nearest one when it is not listed
+  function currentIndex() {
+    const idx = map.years.indexOf(map.currentYear);
+    if (idx !== -1) return idx;
+    return d3.minIndex(map.years, y => Math.abs(y - map.currentYear));
+  }
+
+  // move one available year back (-1) or forward (+1), clamped to the ends
+  function stepYear(dir) {
+    const idx = Math.max(0, Math.min(map.years.length - 1, currentIndex() + dir));
+    map.setYear(map.years[idx]);
+  }
+  map.stepYear = stepYear;
+
+  function stopPlayback() {
+    if (playTimer) {
+      playTimer.stop();
+      playTimer = null;
+    }
+    map.isPlaying = false;
+    if (!playBtn.empty()) playBtn.text('Play ▶');
+  }
+
+  // the next year Play should show, or null when playback is over
+  function nextPlayIndex() {
+    const last = map.years.length - 1;
+    const idx = currentIndex() + direction;
+    if (idx >= 0 && idx <= last) return idx;
+    if (playMode === 'loop') return direction > 0 ? 0 : last;
+    if (playMode === 'bounce' && last > 0) {
+      direction = -direction;
+      return currentIndex() + direction;
+    }
+    return null;
+  }
+
+  function startPlayback() {
+    if (map.isPlaying) return;
+    direction = 1;
+    // If the current year is the last one (or not a known year), start over from the first;
+    // bounce mode turns around instead.
+    const idx = map.years.indexOf(map.currentYear);
+    if (idx === map.years.length - 1 && playMode === 'bounce' && idx > 0) {
+      direction = -1;
+    } else if (idx === -1 || idx === map.years.length - 1) {
+      map.setYear(map.years[0]);
+    }
+    map.isPlaying = true;
+    if (!playBtn.empty()) playBtn.text('Pause ❚❚');
+    let lastStep = 0;
+    playTimer = d3.timer((elapsed) => {
+      // read the step length every frame so speed changes apply immediately
+      const stepMs = Math.max(1, playDuration / map.years.length / speed);
+      if (elapsed - lastStep < stepMs) return;
+      lastStep = elapsed;
+      const next = nextPlayIndex();
+      if (next == null) {
+        stopPlayback();
+        return;
+      }
+      map.setYear(map.years[next]);
+    });
+  }
+  map.startPlayback = startPlayback;
+  map.stopPlayback = stopPlayback;
+
+  // zoom — allow dragging only when zoomed in and clamp the transform so the
+  // content never leaves the SVG viewport. Wheel/dblclick/touch still zoom.
+  const minK = 1;
+  const maxK = 8;
+
+  function clampTransform(t) {
+    const k = t.k;
+    const [[x0, y0], [x1, y1]] = contentBounds;
+    // allowed translation range so content covers the viewport; content narrower than
+    // the viewport along an axis (e.g. the globe at low zoom) stays centred on it instead
+    const clampAxis = (v, lo, hi, size) => {
+      if (k * (hi - lo) >= size) return Math.max(size - k * hi, Math.min(-k * lo, v));
+      return (size - k * (lo + hi)) / 2;
+    };
+    return { x: clampAxis(t.x, x0, x1, width), y: clampAxis(t.y, y0, y1, height), k };
+  }
+  map.clampTransform = clampTransform;
+
+  const zoom = d3.zoom()
+    .scaleExtent([minK, maxK])
+    .filter(event => {
+      // allow wheel, double-click, and touch gestures always
+      if (event.type === 'wheel' || event.type === 'dblclick' || event.type === 'touchstart') return true;
+      // on the globe, dragging rotates instead (see rotateDrag below)
+      if (projectionDef.rotatable) return false;
+      // allow pointer/mouse dragging only when currently zoomed in (k > 1)
+      const t = d3.zoomTransform(svg.node());
+      if (t.k > 1) {
+        // accept pointer/mouse events so drag panning can occur
+        return event.type.startsWith('mouse') || event.type.startsWith('pointer') || event.type.startsWith('touch');
+      }
+      // otherwise, disallow drag/pan
+      return false;
+    })
+    .on('zoom', (event) => {
+      // Clamp the transform so the map content always covers the SVG viewport.
+      const c = clampTransform(event.transform);
+      g.attr('transform', `translate(${c.x},${c.y}) scale(${c.k})`);
+      layers.forEach(layer => {
+        if (typeof layer.zoomed === 'function') layer.zoomed(map, c);
+      });
+    });
+  map.zoom = zoom;
+
+  // animate the zoom so the projected bounds [[x0, y0], [x1, y1]] fill most of the viewport
+  // (used by the country search); the target is clamped like any other zoom
+  map.zoomToBounds = function ([[x0, y0], [x1, y1]], duration = 750) {
+    // nothing of it is drawn (e.g. all of it on the far side of the globe)
+    if (![x0, y0, x1, y1].every(Number.isFinite)) return;
+    const k = Math.max(minK, Math.min(maxK, 0.9 / Math.max((x1 - x0) / width, (y1 - y0) / height)));
+    const c = clampTransform({
+      k,
+      x: width / 2 - k * (x0 + x1) / 2,
+      y: height / 2 - k * (y0 + y1) / 2
+    });
+    svg.transition()
+      .duration(duration)
+      .call(zoom.transform, d3.zoomIdentity.translate(c.x, c.y).scale(c.k));
+  };
+
+  // screen position of a lon/lat point, or null when the projection hides it (the far side of the globe)
+  map.projectPoint = function (lon, lat) {
+    if (projectionDef.rotatable) {
+      const [lambda, phi] = projection.rotate();
+      if (d3.geoDistance([lon, lat], [-lambda, -phi]) > Math.PI / 2) return null;
+    }
+    return projection([lon, lat]);
+  };
+
+  // globe projections: turn the globe so the lon/lat point faces the viewer (no-op otherwise)
+  map.rotateTo = function (lon, lat) {
+    if (!projectionDef.rotatable) return;
+    const [, , gamma] = projection.rotate();
+    projection.rotate([-lon, -lat, gamma]);
+    redrawGeometry();
+  };
+
+  // redraw every GeoJSON-bound path in the map group (outline, graticule, countries and overlays
+  // such as the search highlight), then let layers move what they placed themselves
+  function redrawGeometry() {
+    g.selectAll('path').filter(d => d && d.type).attr('d', path);
+    layers.forEach(layer => {
+      if (typeof layer.reprojected === 'function') layer.reprojected(map);
+    });
+  }
+
+  // countries at least partly inside the current (zoomed) viewport, for the regional projections
+  function featuresInView() {
+    const c = clampTransform(d3.zoomTransform(svg.node()));
+    const vx0 = -c.x / c.k;
+    const vy0 = -c.y / c.k;
+    const vx1 = (width - c.x) / c.k;
+    const vy1 = (height - c.y) / c.k;
+    const hits = features.filter(f => {
+      const [[x0, y0], [x1, y1]] = path.bounds(f);
+      return x1 >= vx0 && x0 <= vx1 && y1 >= vy0 && y0 <= vy1;
+    });
+    return hits.length ? hits : features;
+  }
+
+  // switch to another projection from projections.js, re-fit it and reset the zoom;
+  // a regional projection is centred on what was in view before the switch
+  map.setProjection = function (id) {
+    const def = projectionById(id);
+    const next = fitProjection(def, def.region ? featuresInView() : features);
+    projectionDef = def;
+    projection = next;
+    map.projection = next;
+    path.projection(next);
+    outlinePath.datum(def.outline);
+    updateContentBounds();
+    svg.call(zoom.transform, d3.zoomIdentity);
+    redrawGeometry();
+  };
+
+  // id of the projection in use (see projections.js; 'custom' for one passed in by the caller)
+  map.projectionId = () => projectionDef.id;
+
+  // globe projections: dragging rotates the globe (zoom keeps handling the wheel)
+  const rotateDrag = d3.drag()
+    .filter(event => !!projectionDef.rotatable && !event.ctrlKey && !event.button)
+    .on('drag', (event) => {
+      const k = d3.zoomTransform(svg.node()).k;
+      const [lambda, phi, gamma] = projection.rotate();
+      const sensitivity = 0.25 / k;
+      projection.rotate([
+        lambda + event.dx * sensitivity,
+        Math.max(-90, Math.min(90, phi - event.dy * sensitivity)),
+        gamma
+      ]);
+      redrawGeometry();
+    });
+
+  // let layers add their groups and legends, then draw the initial year
+  layers.forEach(layer => {
+    if (typeof layer.attach === 'function') layer.attach(map);
+  });
+  yearValueSpan.text(selectedYear);
+  map.render(selectedYear);
+
+  if (!yearSlider.empty()) {
+    yearSlider.on('input', function () {
+      const y = +this.value;
+      yearValueSpan.text(y);
+      map.render(y);
+    });
+  }
+  if (!playBtn.empty()) {
+    playBtn.on('click', () => {
+      if (map.isPlaying) stopPlayback(); else startPlayback();
+    });
+  }
+  d3.select('#prev-btn').on('click', () => stepYear(-1));
+  d3.select('#next-btn').on('click', () => stepYear(1));
+  if (!speedSelect.empty()) {
+    speedSelect.property('value', String(speed));
+    speedSelect.on('change', function () {
+      speed = +this.value || 1;
+      try { localStorage.setItem('playSpeed', String(speed)); } catch (e) {}
+    });
+  }
+  if (!modeSelect.empty()) {
+    modeSelect.property('value', playMode);
+    modeSelect.on('change', function () {
+      playMode = this.value;
+      try { localStorage.setItem('playMode', playMode); } catch (e) {}
+    });
+  }
+
+  // keyboard shortcuts: Space plays/pauses, ←/→ step a year, Home/End jump to the first/last year.
+  // Ignored while typing in a form field (the focused slider handles its own arrow keys).
+  if (!playBtn.empty()) {
+    d3.select(window).on('keydown.playback', (event) => {
+      const tag = event.target && event.target.tagName ? event.target.tagName.toLowerCase() : '';
+      if (['input', 'select', 'textarea', 'button'].includes(tag) || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.key === ' ') {
+        if (map.isPlaying) stopPlayback(); else startPlayback();
+      } else if (event.key === 'ArrowLeft') {
+        stepYear(-1);
+      } else if (event.key === 'ArrowRight') {
+        stepYear(1);
+      } else if (event.key === 'Home') {
+        map.setYear(map.years[0]);
+      } else if (event.key === 'End') {
+        map.setYear(map.years[map.years.length - 1]);
+      } else {
+        return;
+      }
+      event.preventDefault();
+    });
+  }
+
+  if (!projectionSelect.empty()) {
+    projectionSelect.selectAll('option')
+      .data(PROJECTIONS)
+      .join('option')
+      .attr('value', d => d.id)
+      .text(d => d.label);
+    projectionSelect.property('value', projectionDef.id);
+    projectionSelect.on('change', function () {
+      try { localStorage.setItem('projection', this.value); } catch (e) {}
+      map.setProjection(this.value);
+    });
+  }
+
+  svg.call(zoom);
+  svg.call(rotateDrag);
+
+  return map;
+}
@@ -0,0 +1,38 @@
+// --- small contract ---
+// Inputs: calls from the linked views: hover(year) while the pointer is over a year, and
+//         select(years) when years are brushed (an empty list highlights none, null clears)
+// Output: the shared selection state ({ hovered, selected }) and on(listener) notifications,
+//         each saying what changed ('hover' or 'select') and the id of the view that changed it,
+//         so that view can keep its own brush while the others clear theirs
+// Error modes: none; years that no view shows are simply never highlighted
+
+export function createYearSelection() {
+  let hovered = null;
+  let selected = null; // Set of years, or null when nothing is brushed
+  const listeners = [];
+
+  function notify(kind, source) {
+    listeners.forEach(fn => fn({ kind, hovered, selected, source }));
+  }
+
+  return {
+    hovered: () => hovered,
+    selected: () => selected,
+    hover(year, source = null) {
+      if (year === hovered) return;
+      hovered = year;
+      notify('hover', source);
+    },
+    select(years, source = null) {
+      selected = years ? new Set(years) : null;
+      notify('select', source);
+    },
+    // true when the year is part of the brushed years, or nothing is brushed
+    isSelected(year) {
+      return !selected || selected.has(year);
+    },
+    on(fn) {
+      listeners.push(fn);
+    }
+  };
+}